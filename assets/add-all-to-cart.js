@@ -0,0 +1,61 @@
+import { Component } from '@theme/component';
+import { bulkAddToCart } from '@theme/cart-bulk-add';
+import { CartOfflineError } from '@theme/cart-store';
+
+/** @typedef {import('./cart-store').CartAddItem} CartAddItem */
+
+/**
+ * A custom element that adds all the products of a list to the cart in one request.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLButtonElement} button - The add all button.
+ * @property {HTMLElement} error - The message listing the items that couldn't be added.
+ * @property {HTMLElement} liveRegion - The region announcing the items were added.
+ *
+ * @extends {Component<Refs>}
+ */
+class AddAllToCartComponent extends Component {
+  requiredRefs = ['button', 'error', 'liveRegion'];
+
+  /**
+   * The items added by the button.
+   * @returns {CartAddItem[]}
+   */
+  get items() {
+    return JSON.parse(this.dataset.items ?? '[]');
+  }
+
+  async addAll() {
+    const { button, error, liveRegion } = this.refs;
+    const { items } = this;
+
+    if (!items.length) return;
+
+    button.disabled = true;
+    button.setAttribute('aria-busy', 'true');
+    error.hidden = true;
+
+    try {
+      const failures = await bulkAddToCart(this, items);
+
+      if (failures.length < items.length) liveRegion.textContent = Theme.translations.added ?? '';
+
+      if (failures.length) {
+        const messages = new Set(failures.map(({ error }) => error.message));
+
+        error.textContent = [Theme.translations.add_all_partial_error, ...messages].join(' ');
+        error.hidden = false;
+      }
+    } catch (error) {
+      // The items will be added once back online
+      if (!(error instanceof CartOfflineError)) console.error(error);
+    } finally {
+      button.disabled = false;
+      button.removeAttribute('aria-busy');
+    }
+  }
+}
+
+if (!customElements.get('add-all-to-cart-component')) {
+  customElements.define('add-all-to-cart-component', AddAllToCartComponent);
+}
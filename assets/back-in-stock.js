@@ -0,0 +1,282 @@
+import { Component } from '@theme/component';
+import { DialogComponent } from '@theme/dialog';
+import { ThemeEvents, VariantResolveEvent, VariantUpdateEvent } from '@theme/events';
+import { validateField } from '@theme/utilities';
+
+const STORAGE_KEY = 'theme-back-in-stock';
+
+/**
+ * The variants the shopper asked to be notified about.
+ *
+ * The list is stored in the browser, so the shopper isn't asked again on their next visit.
+ */
+class BackInStockRequests {
+  /** @type {Set<string>} */
+  #variantIds = new Set(readVariantIds());
+
+  /** @type {Set<() => void>} */
+  #listeners = new Set();
+
+  constructor() {
+    // Keep the list in sync with the other tabs
+    window.addEventListener('storage', (event) => {
+      if (event.key !== STORAGE_KEY) return;
+
+      this.#variantIds = new Set(readVariantIds());
+      this.#notify();
+    });
+  }
+
+  /**
+   * Whether the shopper asked to be notified about a variant.
+   * @param {string} variantId
+   * @returns {boolean}
+   */
+  has(variantId) {
+    return this.#variantIds.has(variantId);
+  }
+
+  /**
+   * Remembers that the shopper will be notified about a variant.
+   * @param {string} variantId
+   */
+  add(variantId) {
+    this.#variantIds.add(variantId);
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify([...this.#variantIds]));
+    } catch (_) {
+      // no-op, the request is remembered for the current page only
+    }
+
+    this.#notify();
+  }
+
+  /**
+   * Calls the listener whenever the list changes.
+   * @param {() => void} listener
+   * @returns {() => void} A function to stop listening.
+   */
+  subscribe(listener) {
+    this.#listeners.add(listener);
+
+    return () => this.#listeners.delete(listener);
+  }
+
+  #notify() {
+    for (const listener of this.#listeners) listener();
+  }
+}
+
+/**
+ * Reads the variant ids from the storage.
+ * @returns {string[]}
+ */
+function readVariantIds() {
+  try {
+    const variantIds = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '[]');
+
+    return Array.isArray(variantIds) ? variantIds.map(String) : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+export const backInStockRequests = new BackInStockRequests();
+
+/**
+ * A custom element that offers to notify the shopper when the selected variant is back in stock.
+ *
+ * It's only shown while the selected variant is sold out, and follows the variant picker of its product.
+ * The button is replaced by a message once the shopper asked to be notified.
+ */
+export class BackInStockButton extends Component {
+  state = { notified: false };
+
+  #abortController = new AbortController();
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#abortController = new AbortController();
+    const { signal } = this.#abortController;
+    const target = this.closest('.shopify-section, dialog, product-card');
+
+    target?.addEventListener(ThemeEvents.variantUpdate, this.#handleVariantUpdate, { signal });
+    target?.addEventListener(ThemeEvents.variantResolve, this.#handleVariantResolve, { signal });
+    this.#unsubscribe = backInStockRequests.subscribe(this.#render);
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+    this.#unsubscribe?.();
+  }
+
+  /**
+   * @param {VariantUpdateEvent} event
+   */
+  #handleVariantUpdate = (event) => {
+    if (event.detail.data.newProduct) {
+      this.dataset.productId = event.detail.data.newProduct.id;
+    } else if (event.detail.data.productId !== this.dataset.productId) {
+      return;
+    }
+
+    this.#showVariant(/** @type {{ id: string, available: boolean, title?: string } | null} */ (event.detail.resource));
+  };
+
+  /**
+   * Shows the variant as soon as it's picked, the section of the variant isn't needed.
+   * @param {VariantResolveEvent} event
+   */
+  #handleVariantResolve = (event) => {
+    if (event.detail.data.productId !== this.dataset.productId) return;
+
+    this.#showVariant(event.detail.resource);
+  };
+
+  /**
+   * @param {{ id: string | number, available: boolean, title?: string } | null} variant
+   */
+  #showVariant(variant) {
+    this.hidden = !variant || variant.available;
+    this.dataset.variantId = variant ? String(variant.id) : '';
+    this.dataset.variantTitle = variant?.title ?? '';
+    this.#render();
+  }
+
+  /**
+   * Shows the button, or the message once the shopper asked to be notified about the variant.
+   */
+  #render = () => {
+    this.state.notified = backInStockRequests.has(this.dataset.variantId ?? '');
+  };
+}
+
+if (!customElements.get('back-in-stock-button')) {
+  customElements.define('back-in-stock-button', BackInStockButton);
+}
+
+/**
+ * A custom element that asks for the email address of a shopper to notify about a sold-out variant.
+ *
+ * The request is posted to the endpoint of the form, the contact form unless the theme settings set another one.
+ * Spam bots filling in the hidden honeypot field are shown a success without anything being sent.
+ *
+ * @typedef {object} BackInStockDialogRefs
+ * @property {HTMLDialogElement} dialog - The dialog element.
+ * @property {HTMLFormElement} form - The notification form.
+ * @property {HTMLElement} productTitle - The product and variant the shopper will be notified about.
+ * @property {HTMLInputElement} emailInput - The email address of the shopper.
+ * @property {HTMLInputElement} honeypot - The field only spam bots fill in.
+ * @property {HTMLInputElement} productInput - The product sent with the request.
+ * @property {HTMLInputElement} variantInput - The variant sent with the request.
+ * @property {HTMLInputElement} bodyInput - The message sent with the request.
+ * @property {HTMLButtonElement} submitButton - The button submitting the form.
+ * @property {HTMLElement} error - The error shown when the request fails.
+ * @property {HTMLElement} success - The message shown once the request is sent.
+ *
+ * @extends {DialogComponent<BackInStockDialogRefs>}
+ */
+class BackInStockDialog extends DialogComponent {
+  requiredRefs = [
+    'dialog',
+    'form',
+    'productTitle',
+    'emailInput',
+    'honeypot',
+    'productInput',
+    'variantInput',
+    'bodyInput',
+    'submitButton',
+    'error',
+    'success',
+  ];
+
+  /**
+   * Opens the form for the variant of the button clicked.
+   * @param {Event} event - The click event of a `back-in-stock-button`.
+   */
+  open(event) {
+    const trigger = event.target instanceof Element ? event.target.closest('back-in-stock-button') : null;
+    if (!(trigger instanceof BackInStockButton)) return;
+
+    const { productTitle = '', variantTitle = '', variantId = '' } = trigger.dataset;
+    const { form, productInput, variantInput, bodyInput, error, success } = this.refs;
+    const title = variantTitle ? `${productTitle} - ${variantTitle}` : productTitle;
+
+    this.refs.productTitle.textContent = title;
+    productInput.value = title;
+    variantInput.value = variantId;
+    bodyInput.value = (Theme.translations.back_in_stock_request ?? '').replace('[product]', title);
+
+    form.hidden = false;
+    error.hidden = true;
+    success.hidden = true;
+
+    this.showDialog();
+  }
+
+  /**
+   * Sends the notification request.
+   * @param {SubmitEvent} event
+   */
+  async submit(event) {
+    event.preventDefault();
+
+    const { form, emailInput, honeypot, variantInput, submitButton, error } = this.refs;
+    const variantId = variantInput.value;
+
+    if (!validateField(emailInput)) {
+      emailInput.focus();
+      return;
+    }
+
+    if (honeypot.value) {
+      this.#showSuccess(variantId);
+      return;
+    }
+
+    submitButton.disabled = true;
+    error.hidden = true;
+
+    try {
+      const response = await fetch(this.dataset.endpoint || form.action, {
+        method: 'POST',
+        body: new FormData(form),
+      });
+
+      if (!response.ok) throw new Error(`Back in stock request failed: ${response.status}`);
+
+      this.#showSuccess(variantId);
+    } catch (requestError) {
+      console.error(requestError);
+      error.textContent = Theme.translations.back_in_stock_error ?? '';
+      error.hidden = false;
+    } finally {
+      submitButton.disabled = false;
+    }
+  }
+
+  /**
+   * @param {string} variantId
+   */
+  #showSuccess(variantId) {
+    const { form, success } = this.refs;
+
+    backInStockRequests.add(variantId);
+    form.hidden = true;
+    success.hidden = false;
+    success.focus();
+  }
+}
+
+if (!customElements.get('back-in-stock-dialog')) {
+  customElements.define('back-in-stock-dialog', BackInStockDialog);
+}
@@ -0,0 +1,211 @@
+import { Component } from '@theme/component';
+import { debounce, validateField } from '@theme/utilities';
+import { cartStore, CartOfflineError } from '@theme/cart-store';
+
+/**
+ * How long to wait before saving again after a failed save, in milliseconds
+ */
+const RETRY_DELAY = 2000;
+
+/**
+ * How many times a save is sent before the shopper is asked to retry
+ */
+const MAX_ATTEMPTS = 2;
+
+/** @typedef {HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement} AttributeField */
+
+/** @typedef {'idle' | 'saving' | 'saved' | 'error'} SaveState */
+
+/**
+ * A custom element that saves cart attributes as they change, and keeps the shopper from checking out while required
+ * attributes are missing.
+ *
+ * Fields are declared in the markup: each `fields` ref is saved as the attribute named in its `attributes[...]` name,
+ * and is validated with its `required` and `pattern` attributes.
+ *
+ * @typedef {object} Refs
+ * @property {AttributeField[]} [fields] - The attribute fields.
+ * @property {HTMLElement} status - The message showing whether the attributes are saved.
+ * @property {HTMLButtonElement} retryButton - The button saving the attributes again after a failure.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartAttributesComponent extends Component {
+  requiredRefs = ['status', 'retryButton'];
+
+  /**
+   * Attributes changed since the last save, keyed by name.
+   * @type {Record<string, string>}
+   */
+  #pendingAttributes = {};
+
+  /** @type {Promise<void> | null} */
+  #activeSave = null;
+
+  #debouncedSave = debounce(() => this.#save(), 300);
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener('click', this.#guardCheckout, { capture: true });
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#debouncedSave.cancel();
+    document.removeEventListener('click', this.#guardCheckout, { capture: true });
+  }
+
+  /**
+   * Queues a changed field to be saved.
+   * @param {Event} event - The input or change event.
+   */
+  handleChange = (event) => {
+    const field = event.target;
+    if (!isAttributeField(field)) return;
+
+    const name = getAttributeName(field);
+    if (!name) return;
+
+    // Only fields already flagged are validated while typing, so the shopper isn't interrupted
+    if (field.getAttribute('aria-invalid') === 'true') validateField(field);
+
+    this.#pendingAttributes[name] = getValue(field);
+    this.#debouncedSave();
+  };
+
+  /**
+   * Saves the attributes that failed to save.
+   */
+  retry() {
+    this.#debouncedSave.cancel();
+    this.#save();
+  }
+
+  /**
+   * Saves the pending attributes. Changes made during a save are sent once it settles.
+   * @returns {Promise<void>}
+   */
+  #save() {
+    this.#activeSave ??= this.#flush().finally(() => {
+      this.#activeSave = null;
+    });
+
+    return this.#activeSave;
+  }
+
+  async #flush() {
+    while (Object.keys(this.#pendingAttributes).length) {
+      const attributes = this.#pendingAttributes;
+      this.#pendingAttributes = {};
+      this.#setState('saving');
+
+      try {
+        await this.#send(attributes);
+      } catch (error) {
+        // The attributes were queued and will be saved once back online
+        if (error instanceof CartOfflineError) {
+          this.#setState('idle');
+          return;
+        }
+
+        // Keep the attributes for the retry, unless they were changed again in the meantime
+        this.#pendingAttributes = { ...attributes, ...this.#pendingAttributes };
+        this.#setState('error');
+        console.error(error);
+        return;
+      }
+    }
+
+    this.#setState('saved');
+  }
+
+  /**
+   * Sends attributes to the cart, retrying after a failure.
+   * @param {Record<string, string>} attributes
+   */
+  async #send(attributes) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await cartStore.update({ attributes });
+        return;
+      } catch (error) {
+        if (error instanceof CartOfflineError || attempt >= MAX_ATTEMPTS) throw error;
+
+        await new Promise((resolve) => setTimeout(resolve, RETRY_DELAY));
+      }
+    }
+  }
+
+  /**
+   * Shows whether the attributes are saved.
+   * @param {SaveState} state
+   */
+  #setState(state) {
+    const { status, retryButton } = this.refs;
+    const messages = {
+      idle: '',
+      saving: Theme.translations.cart_attributes_saving,
+      saved: Theme.translations.cart_attributes_saved,
+      error: Theme.translations.cart_attributes_error,
+    };
+
+    this.dataset.state = state;
+    status.textContent = messages[state] ?? '';
+    retryButton.hidden = state !== 'error';
+  }
+
+  /**
+   * Keeps the checkout button of the cart form from submitting it while an attribute is invalid.
+   * @param {MouseEvent} event
+   */
+  #guardCheckout = (event) => {
+    const button = event.target instanceof Element ? event.target.closest('button[name="checkout"]') : null;
+    const fields = this.refs.fields ?? [];
+
+    if (!(button instanceof HTMLButtonElement) || !button.form) return;
+    if (!fields.some((field) => field.form === button.form)) return;
+
+    const invalidFields = fields.filter((field) => !validateField(field));
+
+    if (!invalidFields.length) return;
+
+    event.preventDefault();
+    invalidFields[0]?.focus();
+  };
+}
+
+/**
+ * @param {EventTarget | null} target
+ * @returns {target is AttributeField}
+ */
+function isAttributeField(target) {
+  return (
+    target instanceof HTMLInputElement || target instanceof HTMLSelectElement || target instanceof HTMLTextAreaElement
+  );
+}
+
+/**
+ * Gets the attribute a field is saved to, e.g. `Gift wrap` for `attributes[Gift wrap]`.
+ * @param {AttributeField} field
+ * @returns {string | undefined}
+ */
+function getAttributeName(field) {
+  return field.name.match(/^attributes\[(.+)\]$/)?.[1];
+}
+
+/**
+ * Gets the value a field saves. Blank values remove the attribute.
+ * @param {AttributeField} field
+ * @returns {string}
+ */
+function getValue(field) {
+  if (field instanceof HTMLInputElement && field.type === 'checkbox') return field.checked ? field.value : '';
+
+  return field.value.trim();
+}
+
+if (!customElements.get('cart-attributes-component')) {
+  customElements.define('cart-attributes-component', CartAttributesComponent);
+}
@@ -0,0 +1,51 @@
+import { cartStore } from '@theme/cart-store';
+import { CartAddEvent, CartErrorEvent } from '@theme/events';
+
+/** @typedef {import('./cart-store').CartAddItem} CartAddItem */
+/** @typedef {import('./cart-store').CartAddFailure} CartAddFailure */
+
+/**
+ * Adds several items to the cart in one request and lets the page know.
+ *
+ * A `CartErrorEvent` is dispatched for each item that couldn't be added, then a single `CartAddEvent` carries the cart
+ * and the re-rendered cart sections if anything was added. That event is flagged with `didError` when some items failed.
+ *
+ * @param {HTMLElement} source - The element the items are added from, which dispatches the events
+ * @param {CartAddItem[]} items - The items to add
+ * @param {Object} [options]
+ * @param {string} [options.productId] - The id of the product the items are added from, if any
+ * @returns {Promise<CartAddFailure[]>} The items that couldn't be added
+ */
+export async function bulkAddToCart(source, items, options = {}) {
+  const { cart, sections, failures } = await cartStore.addItems(items, { sections: getCartSectionIds() });
+
+  for (const { item, error } of failures) {
+    source.dispatchEvent(
+      new CartErrorEvent(source.id, error.title ?? '', error.description ?? '', error.errors ?? {}, item.id)
+    );
+  }
+
+  if (failures.length < items.length) {
+    source.dispatchEvent(
+      new CartAddEvent(cart, source.id, {
+        source: source.localName,
+        didError: failures.length > 0,
+        itemCount: cart.item_count,
+        productId: options.productId,
+        sections,
+      })
+    );
+  }
+
+  return failures;
+}
+
+/**
+ * Gets the ids of the sections rendering the cart lines, to re-render them with a cart mutation.
+ * @returns {string[]}
+ */
+export function getCartSectionIds() {
+  return Array.from(document.querySelectorAll('cart-items-component'), (element) =>
+    element instanceof HTMLElement ? element.dataset.sectionId : undefined
+  ).filter((sectionId) => sectionId !== undefined);
+}
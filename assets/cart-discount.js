@@ -1,23 +1,32 @@
 import { Component } from '@theme/component';
 import { morphSection } from '@theme/section-renderer';
-import { DiscountUpdateEvent } from '@theme/events';
-import { fetchConfig } from '@theme/utilities';
+import { DiscountUpdateEvent, ThemeEvents } from '@theme/events';
+import { cartStore, CartOfflineError } from '@theme/cart-store';
+import { getCartSectionIds } from '@theme/cart-bulk-add';
 import { cartPerformance } from '@theme/performance';
 
+/** @typedef {import('./cart-store').Cart} Cart */
+/** @typedef {import('./events').CartUpdateEvent} CartUpdateEvent */
+
 /**
- * A custom element that applies a discount to the cart.
+ * @typedef {Object} DiscountNotice
+ * @property {string} code - The discount code
+ * @property {string} message - Why the code doesn't reduce the cart
+ */
+
+/**
+ * A custom element that manages the discount codes of the cart.
  *
  * @typedef {Object} CartDiscountComponentRefs
- * @property {HTMLElement} cartDiscountError - The error element.
- * @property {HTMLElement} cartDiscountErrorDiscountCode - The discount code error element.
- * @property {HTMLElement} cartDiscountErrorShipping - The shipping error element.
+ * @property {HTMLElement} notices - The list explaining the codes that don't reduce the cart.
+ * @property {HTMLTemplateElement} noticeTemplate - The template of a notice.
  */
 
 /**
  * @extends {Component<CartDiscountComponentRefs>}
  */
 class CartDiscount extends Component {
-  requiredRefs = ['cartDiscountError', 'cartDiscountErrorDiscountCode', 'cartDiscountErrorShipping'];
+  requiredRefs = ['notices', 'noticeTemplate'];
 
   /** @type {AbortController | null} */
   #activeFetch = null;
@@ -32,13 +41,43 @@ class CartDiscount extends Component {
     return abortController;
   }
 
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+  }
+
+  /**
+   * Explains the codes again when the cart changes elsewhere, since a change to the lines can make a code apply or
+   * stop applying. Carts without the codes, such as the ones of `/cart.js`, clear the notices instead.
+   * @param {CartUpdateEvent} event
+   */
+  #handleCartUpdate = (event) => {
+    // The discount update in flight renders its own notices
+    if (this.#activeFetch) return;
+
+    const cart = /** @type {Partial<Cart> | undefined} */ (event.detail.resource);
+
+    if (!cart?.discount_codes || !cart.items || !cart.cart_level_discount_applications) {
+      this.#renderNotices([]);
+      return;
+    }
+
+    const codes = cart.discount_codes.map(({ code }) => code);
+    this.#renderNotices(explainDiscountCodes(/** @type {Cart} */ (cart), codes));
+  };
+
   /**
-   * Handles updates to the cart note.
+   * Applies the code entered in the form, along with the codes already applied.
    * @param {SubmitEvent} event - The submit event on our form.
    */
   applyDiscount = async (event) => {
-    const { cartDiscountError, cartDiscountErrorDiscountCode, cartDiscountErrorShipping } = this.refs;
-
     event.preventDefault();
     event.stopPropagation();
 
@@ -46,75 +85,24 @@ class CartDiscount extends Component {
     if (!(form instanceof HTMLFormElement)) return;
 
     const discountCode = form.querySelector('input[name="discount"]');
-    if (!(discountCode instanceof HTMLInputElement) || typeof this.dataset.sectionId !== 'string') return;
+    if (!(discountCode instanceof HTMLInputElement)) return;
 
-    const discountCodeValue = discountCode.value;
+    const code = discountCode.value.trim();
+    if (!code) return;
 
-    const abortController = this.#createAbortController();
+    const existingDiscounts = this.#existingDiscounts();
 
-    try {
-      const existingDiscounts = this.#existingDiscounts();
-      if (existingDiscounts.includes(discountCodeValue)) return;
-
-      cartDiscountError.classList.add('hidden');
-      cartDiscountErrorDiscountCode.classList.add('hidden');
-      cartDiscountErrorShipping.classList.add('hidden');
-
-      const config = fetchConfig('json', {
-        body: JSON.stringify({
-          discount: [...existingDiscounts, discountCodeValue].join(','),
-          sections: [this.dataset.sectionId],
-        }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
-
-      const data = await response.json();
-
-      if (
-        data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
-          return discount.code === discountCodeValue && discount.applicable === false;
-        })
-      ) {
-        discountCode.value = '';
-        this.#handleDiscountError('discount_code');
-        return;
-      }
+    // Codes aren't case sensitive, so a code entered in another case is already applied
+    if (existingDiscounts.some((existingCode) => isSameCode(existingCode, code))) {
+      discountCode.value = '';
+      this.#renderNotices([{ code, message: formatNotice(Theme.translations.discount_code_already_applied, code) }]);
+      return;
+    }
 
-      const newHtml = data.sections[this.dataset.sectionId];
-      const parsedHtml = new DOMParser().parseFromString(newHtml, 'text/html');
-      const section = parsedHtml.getElementById(`shopify-section-${this.dataset.sectionId}`);
-      const discountCodes = section?.querySelectorAll('.cart-discount__pill') || [];
-      if (section) {
-        const codes = Array.from(discountCodes)
-          .map((element) => (element instanceof HTMLLIElement ? element.dataset.discountCode : null))
-          .filter(Boolean);
-        // Before morphing, we need to check if the shipping discount is applicable in the UI
-        // we check the liquid logic compared to the cart payload to assess whether we leveraged
-        // a valid shipping discount code.
-        if (
-          codes.length === existingDiscounts.length &&
-          codes.every((/** @type {string} */ code) => existingDiscounts.includes(code)) &&
-          data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
-            return discount.code === discountCodeValue && discount.applicable === true;
-          })
-        ) {
-          this.#handleDiscountError('shipping');
-          discountCode.value = '';
-          return;
-        }
-      }
+    await this.#updateDiscounts([...existingDiscounts, code], existingDiscounts);
 
-      document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
-      morphSection(this.dataset.sectionId, newHtml);
-    } catch (error) {
-    } finally {
-      this.#activeFetch = null;
-      cartPerformance.measureFromEvent('discount-update:user-action', event);
-    }
+    discountCode.value = '';
+    cartPerformance.measureFromEvent('discount-update:user-action', event);
   };
 
   /**
@@ -128,8 +116,7 @@ class CartDiscount extends Component {
     if (
       (event instanceof KeyboardEvent && event.key !== 'Enter') ||
       !(event instanceof MouseEvent) ||
-      !(event.target instanceof HTMLElement) ||
-      typeof this.dataset.sectionId !== 'string'
+      !(event.target instanceof HTMLElement)
     ) {
       return;
     }
@@ -141,43 +128,76 @@ class CartDiscount extends Component {
     if (!discountCode) return;
 
     const existingDiscounts = this.#existingDiscounts();
-    const index = existingDiscounts.indexOf(discountCode);
-    if (index === -1) return;
+    if (!existingDiscounts.includes(discountCode)) return;
 
-    existingDiscounts.splice(index, 1);
+    await this.#updateDiscounts(
+      existingDiscounts.filter((code) => code !== discountCode),
+      existingDiscounts
+    );
+  };
+
+  /**
+   * Replaces the discount codes of the cart, then explains the codes that don't reduce it.
+   * @param {string[]} codes - The codes to apply.
+   * @param {string[]} previousCodes - The codes applied before the change.
+   */
+  async #updateDiscounts(codes, previousCodes) {
+    const { sectionId } = this.dataset;
+    if (!sectionId) return;
 
     const abortController = this.#createAbortController();
 
+    this.#renderNotices([]);
+
     try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ discount: existingDiscounts.join(','), sections: [this.dataset.sectionId] }),
-      });
+      const { cart, sections } = await cartStore.update(
+        { discount: codes.join(',') },
+        { sections: [...new Set([sectionId, ...getCartSectionIds()])], signal: abortController.signal }
+      );
 
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
+      document.dispatchEvent(
+        new DiscountUpdateEvent(cart, this.id, { discountCodes: cart.discount_codes ?? [], sections })
+      );
 
-      const data = await response.json();
+      const sectionHtml = sections[sectionId];
+      if (sectionHtml) morphSection(sectionId, sectionHtml);
 
-      document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
-      morphSection(this.dataset.sectionId, data.sections[this.dataset.sectionId]);
+      this.#renderNotices(explainDiscountCodes(cart, previousCodes));
     } catch (error) {
+      // Aborted requests were replaced by a newer one
+      if (abortController.signal.aborted) return;
+
+      // The codes will be applied once back online
+      if (error instanceof CartOfflineError) {
+        this.#renderNotices([{ code: '', message: Theme.translations.cart_pending_sync ?? '' }]);
+        return;
+      }
+
+      console.error(error);
+      this.#renderNotices([{ code: '', message: Theme.translations.discount_update_error ?? '' }]);
     } finally {
-      this.#activeFetch = null;
+      if (this.#activeFetch === abortController) this.#activeFetch = null;
     }
-  };
+  }
 
   /**
-   * Handles the discount error.
-   *
-   * @param {'discount_code' | 'shipping'} type - The type of discount error.
+   * Renders the notices explaining the codes that don't reduce the cart.
+   * @param {DiscountNotice[]} notices
    */
-  #handleDiscountError(type) {
-    const { cartDiscountError, cartDiscountErrorDiscountCode, cartDiscountErrorShipping } = this.refs;
-    const target = type === 'discount_code' ? cartDiscountErrorDiscountCode : cartDiscountErrorShipping;
-    cartDiscountError.classList.remove('hidden');
-    target.classList.remove('hidden');
+  #renderNotices(notices) {
+    const { noticeTemplate } = this.refs;
+
+    this.refs.notices.replaceChildren(
+      ...notices.map(({ code, message }) => {
+        const fragment = /** @type {DocumentFragment} */ (noticeTemplate.content.cloneNode(true));
+        const notice = /** @type {HTMLElement} */ (fragment.firstElementChild);
+
+        notice.dataset.discountCode = code;
+        notice.querySelector('[data-message]')?.append(message);
+
+        return notice;
+      })
+    );
   }
 
   /**
@@ -198,6 +218,84 @@ class CartDiscount extends Component {
   }
 }
 
+/**
+ * Explains why the codes submitted with a change don't reduce the cart.
+ *
+ * The cart only tells whether each code applies, so the reason is inferred: a code that stopped applying when other
+ * codes were added can't be combined with them, a code that applies without reducing the cart or its lines is a
+ * shipping discount, and a code that doesn't apply while no other code does is missing a requirement of the cart.
+ *
+ * @param {Cart} cart - The cart after the change
+ * @param {string[]} previousCodes - The codes applied before the change
+ * @returns {DiscountNotice[]}
+ */
+function explainDiscountCodes(cart, previousCodes) {
+  const { translations } = Theme;
+  const discountCodes = cart.discount_codes ?? [];
+  const applicableCodes = discountCodes.filter(({ applicable }) => applicable).map(({ code }) => code);
+  /** @param {string} code */
+  const isPrevious = (code) => previousCodes.some((previousCode) => isSameCode(previousCode, code));
+
+  return discountCodes.flatMap(({ code, applicable }) => {
+    if (applicable) {
+      return getSavings(cart, code) > 0
+        ? []
+        : [{ code, message: formatNotice(translations.discount_code_shipping, code) }];
+    }
+
+    const otherCodes = applicableCodes.filter((otherCode) => !isSameCode(otherCode, code));
+
+    if (!otherCodes.length) {
+      return [{ code, message: formatNotice(translations.discount_code_not_eligible, code) }];
+    }
+
+    if (isPrevious(code)) {
+      const addedCodes = otherCodes.filter((otherCode) => !isPrevious(otherCode));
+      const conflictingCodes = addedCodes.length ? addedCodes : otherCodes;
+
+      return [{ code, message: formatNotice(translations.discount_code_not_combinable, code, conflictingCodes) }];
+    }
+
+    return [{ code, message: formatNotice(translations.discount_code_not_eligible_or_combinable, code, otherCodes) }];
+  });
+}
+
+/**
+ * Gets the amount a code takes off the cart and its lines.
+ * @param {Cart} cart
+ * @param {string} code
+ * @returns {number} The amount in cents
+ */
+function getSavings(cart, code) {
+  const cartSavings = cart.cart_level_discount_applications
+    .filter(({ title }) => isSameCode(title, code))
+    .reduce((total, { total_allocated_amount }) => total + total_allocated_amount, 0);
+
+  return cart.items
+    .flatMap((item) => item.line_level_discount_allocations ?? [])
+    .filter(({ discount_application }) => isSameCode(discount_application.title, code))
+    .reduce((total, { amount }) => total + amount, cartSavings);
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean} Whether two discount codes are the same code
+ */
+function isSameCode(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * @param {string | undefined} template - The translated notice
+ * @param {string} code - The code the notice is about
+ * @param {string[]} [codes] - The codes the code conflicts with
+ * @returns {string}
+ */
+function formatNotice(template = '', code, codes = []) {
+  return template.replace('[code]', code).replace('[codes]', codes.join(', '));
+}
+
 if (!customElements.get('cart-discount-component')) {
   customElements.define('cart-discount-component', CartDiscount);
 }
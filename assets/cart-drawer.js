@@ -1,28 +1,65 @@
 import { DialogComponent } from '@theme/dialog';
-import { CartAddEvent } from '@theme/events';
+import { CartAddEvent, CartSyncEvent, ThemeEvents } from '@theme/events';
+import { cartStore } from '@theme/cart-store';
 
 /**
  * A custom element that manages a cart drawer.
  *
- * @extends {DialogComponent}
+ * @typedef {object} CartDrawerRefs
+ * @property {HTMLDialogElement} dialog - The dialog element.
+ * @property {HTMLElement} [syncNotice] - The live region announcing the cart changes waiting for connectivity.
+ *
+ * @extends {DialogComponent<CartDrawerRefs>}
  */
 class CartDrawerComponent extends DialogComponent {
   connectedCallback() {
     super.connectedCallback();
     document.addEventListener(CartAddEvent.eventName, this.#handleCartAdd);
+    document.addEventListener(ThemeEvents.cartSync, this.#handleCartSync);
+    this.#renderSyncNotice(cartStore.pendingSyncCount);
+  }
+
+  afterMorph() {
+    // The notice of the empty and filled cart is a different element
+    this.#renderSyncNotice(cartStore.pendingSyncCount);
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
     document.removeEventListener(CartAddEvent.eventName, this.#handleCartAdd);
+    document.removeEventListener(ThemeEvents.cartSync, this.#handleCartSync);
   }
 
-  #handleCartAdd = () => {
+  /**
+   * @param {CartAddEvent} event
+   */
+  #handleCartAdd = (event) => {
+    // Changes made in other tabs shouldn't interrupt the shopper
+    if (event.detail.data.source === 'cart-sync') return;
+
     if (this.hasAttribute('auto-open')) {
       this.showDialog();
     }
   };
 
+  /**
+   * @param {CartSyncEvent} event
+   */
+  #handleCartSync = (event) => {
+    this.#renderSyncNotice(event.detail.pendingCount);
+  };
+
+  /**
+   * Fills in the pending sync notice while cart changes are waiting for connectivity, so it's announced.
+   * @param {number} pendingCount - The number of cart changes waiting
+   */
+  #renderSyncNotice(pendingCount) {
+    const { syncNotice } = this.refs;
+    const text = pendingCount > 0 ? Theme.translations.cart_pending_sync ?? '' : '';
+
+    if (syncNotice && syncNotice.textContent !== text) syncNotice.textContent = text;
+  }
+
   open() {
     this.showDialog();
 
@@ -1,6 +1,7 @@
 import { Component } from '@theme/component';
 import { onAnimationEnd } from '@theme/utilities';
-import { ThemeEvents, CartUpdateEvent } from '@theme/events';
+import { cartStore, cartSelectors } from '@theme/cart-store';
+import { ThemeEvents, CartSyncEvent } from '@theme/events';
 
 /**
  * A custom element that displays a cart icon.
@@ -15,6 +16,9 @@ import { ThemeEvents, CartUpdateEvent } from '@theme/events';
 class CartIcon extends Component {
   requiredRefs = ['cartBubble', 'cartBubbleText', 'cartBubbleCount'];
 
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
   /** @type {number} */
   get currentCartCount() {
     return parseInt(this.refs.cartBubbleCount.textContent ?? '0', 10);
@@ -27,40 +31,45 @@ class CartIcon extends Component {
   connectedCallback() {
     super.connectedCallback();
 
-    document.addEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
+    this.#unsubscribe = cartStore.subscribe(this.onItemCountChange, cartSelectors.itemCount);
+    document.addEventListener(ThemeEvents.cartSync, this.onCartSync);
+    this.toggleAttribute('pending-sync', cartStore.pendingSyncCount > 0);
     this.ensureCartBubbleIsCorrect();
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
 
-    document.removeEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
+    this.#unsubscribe?.();
+    document.removeEventListener(ThemeEvents.cartSync, this.onCartSync);
   }
 
   /**
-   * Handles the cart update event.
-   * @param {CartUpdateEvent} event - The cart update event.
+   * Flags the icon while cart changes are waiting for connectivity.
+   * @param {CartSyncEvent} event - The cart sync event.
    */
-  onCartUpdate = async (event) => {
-    const itemCount = event.detail.data?.itemCount ?? 0;
-    const comingFromProductForm = event.detail.data?.source === 'product-form-component';
+  onCartSync = (event) => {
+    this.toggleAttribute('pending-sync', event.detail.pendingCount > 0);
+  };
 
-    this.renderCartBubble(itemCount, comingFromProductForm);
+  /**
+   * Handles changes to the item count of the cart store.
+   * @param {number} itemCount - The number of items in the cart.
+   */
+  onItemCountChange = (itemCount) => {
+    this.renderCartBubble(itemCount);
   };
 
   /**
    * Renders the cart bubble.
    * @param {number} itemCount - The number of items in the cart.
-   * @param {boolean} comingFromProductForm - Whether the cart update is coming from the product form.
    */
-  renderCartBubble = async (itemCount, comingFromProductForm, animate = true) => {
-    // If the cart update is coming from the product form, we add to the current cart count, otherwise we set the new cart count
-
+  renderCartBubble = async (itemCount, animate = true) => {
     this.refs.cartBubbleCount.classList.toggle('hidden', itemCount === 0);
     this.refs.cartBubble.classList.toggle('visually-hidden', itemCount === 0);
     this.refs.cartBubble.classList.toggle('cart-bubble--animating', itemCount > 0 && animate);
 
-    this.currentCartCount = comingFromProductForm ? this.currentCartCount + itemCount : itemCount;
+    this.currentCartCount = itemCount;
 
     this.classList.toggle('header-actions__cart-icon--has-cart', itemCount > 0);
 
@@ -80,26 +89,26 @@ class CartIcon extends Component {
 
   /**
    * Checks if the cart count is correct.
+   *
+   * The page can be rendered from a cache with a stale count. When the count last shown in this session differs,
+   * the cart is fetched, and the store renders the count of the server.
    */
   ensureCartBubbleIsCorrect = () => {
     const sessionStorageCount = sessionStorage.getItem('cart-count');
-    const visibleCount = this.refs.cartBubbleCount.textContent;
 
-    if (sessionStorageCount === visibleCount || sessionStorageCount === null) return;
+    if (sessionStorageCount === null) return;
 
     try {
-      const { value, timestamp } = JSON.parse(sessionStorageCount);
+      const { value } = JSON.parse(sessionStorageCount);
 
-      if (Date.now() - timestamp < 10000) {
-        const count = parseInt(value, 10);
-
-        if (count >= 0) {
-          this.renderCartBubble(count, false, false);
-        }
-      }
+      if (value === this.refs.cartBubbleCount.textContent) return;
     } catch (_) {
-      // no-op
+      // no-op, the count is fetched below
     }
+
+    cartStore.refresh().catch(() => {
+      // no-op, the next cart change updates the count
+    });
   };
 }
 
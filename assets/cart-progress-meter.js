@@ -0,0 +1,143 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, CartUpdateEvent, DiscountUpdateEvent } from '@theme/events';
+import { formatPrice } from '@theme/money-formatting';
+
+/** @typedef {import('./cart-store').Cart} Cart */
+
+/**
+ * @typedef {Object} RewardThreshold
+ * @property {number} amount - The cart total unlocking the reward, in cents of the store currency
+ * @property {string} label - The name of the reward
+ */
+
+/**
+ * A custom element that shows how far the cart total is from each reward tier.
+ *
+ * The meter is rendered from the cart carried by cart and discount events, so it updates without fetching the section.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} message - The message describing the next reward.
+ * @property {HTMLElement} track - The progress bar.
+ * @property {HTMLElement} markers - The container of the tier markers.
+ * @property {HTMLElement} liveRegion - The region announcing unlocked rewards.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartProgressMeter extends Component {
+  requiredRefs = ['message', 'track', 'markers', 'liveRegion'];
+
+  /**
+   * The number of rewards unlocked when the meter was last rendered
+   * @type {number | null}
+   */
+  #unlockedCount = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    document.addEventListener(ThemeEvents.discountUpdate, this.#handleCartUpdate);
+
+    this.#renderMarkers();
+    this.#render(Number(this.dataset.total));
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#renderMarkers();
+    this.#render(Number(this.dataset.total));
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    document.removeEventListener(ThemeEvents.discountUpdate, this.#handleCartUpdate);
+  }
+
+  /**
+   * The reward thresholds in the presentment currency, from the lowest to the highest.
+   * @returns {RewardThreshold[]}
+   */
+  get thresholds() {
+    /** @type {RewardThreshold[]} */
+    const thresholds = JSON.parse(this.dataset.thresholds ?? '[]');
+    const rate = Number(Shopify.currency.rate) || 1;
+
+    return thresholds
+      .map(({ amount, label }) => ({ amount: Math.round(amount * rate), label }))
+      .sort((a, b) => a.amount - b.amount);
+  }
+
+  /**
+   * @param {CartUpdateEvent | DiscountUpdateEvent} event
+   */
+  #handleCartUpdate = (event) => {
+    const cart = /** @type {Partial<Cart> | undefined} */ (event.detail.resource);
+    const total = cart?.total_price;
+
+    if (typeof total === 'number') this.#render(total);
+  };
+
+  /**
+   * Renders the progress towards the rewards.
+   * @param {number} total - The cart total in cents of the presentment currency
+   */
+  #render(total) {
+    const { thresholds } = this;
+    const { message, track, liveRegion } = this.refs;
+    const highestAmount = thresholds[thresholds.length - 1]?.amount;
+
+    if (!highestAmount || isNaN(total)) return;
+
+    const unlocked = thresholds.filter(({ amount }) => total >= amount);
+    const lastUnlocked = unlocked[unlocked.length - 1];
+    const nextThreshold = thresholds[unlocked.length];
+    const progress = Math.min(100, Math.round((total / highestAmount) * 100));
+
+    track.style.setProperty('--progress', `${progress}%`);
+    track.setAttribute('aria-valuenow', String(progress));
+
+    message.textContent = nextThreshold
+      ? (Theme.translations.cart_progress_remaining ?? '')
+          .replace('[amount]', formatPrice(nextThreshold.amount - total))
+          .replace('[reward]', nextThreshold.label)
+      : (Theme.translations.cart_progress_unlocked ?? '').replace('[reward]', lastUnlocked?.label ?? '');
+
+    // Only announce changes, not the state the meter was first rendered with
+    if (this.#unlockedCount !== null && unlocked.length > this.#unlockedCount && lastUnlocked) {
+      liveRegion.textContent = (Theme.translations.cart_progress_unlocked ?? '').replace(
+        '[reward]',
+        lastUnlocked.label
+      );
+    }
+
+    this.#unlockedCount = unlocked.length;
+  }
+
+  /**
+   * Renders a marker on the progress bar for each tier below the highest one.
+   */
+  #renderMarkers() {
+    const { thresholds } = this;
+    const highestAmount = thresholds[thresholds.length - 1]?.amount;
+
+    if (!highestAmount) return;
+
+    this.refs.markers.replaceChildren(
+      ...thresholds.slice(0, -1).map(({ amount }) => {
+        const marker = document.createElement('span');
+
+        marker.className = 'cart-progress-meter__marker';
+        marker.style.setProperty('--position', `${(amount / highestAmount) * 100}%`);
+
+        return marker;
+      })
+    );
+  }
+}
+
+if (!customElements.get('cart-progress-meter')) {
+  customElements.define('cart-progress-meter', CartProgressMeter);
+}
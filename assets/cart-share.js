@@ -0,0 +1,286 @@
+import { DialogComponent } from '@theme/dialog';
+import { cartStore, CartOfflineError } from '@theme/cart-store';
+import { CartUpdateEvent } from '@theme/events';
+import { bulkAddToCart, getCartSectionIds } from '@theme/cart-bulk-add';
+
+/** @typedef {import('./cart-store').Cart} Cart */
+/** @typedef {import('./cart-store').CartAddItem} CartAddItem */
+
+/**
+ * The search parameter carrying a shared cart
+ */
+const SHARE_PARAMETER = 'cart_share';
+
+/**
+ * A custom element that shares the current cart as a link and a QR code, e.g. to move a cart built on a kiosk to a
+ * phone.
+ *
+ * @typedef {object} CartShareRefs
+ * @property {HTMLDialogElement} dialog - The dialog showing the link.
+ * @property {HTMLInputElement} link - The field showing the link.
+ * @property {HTMLElement} copyButton - The `copy-to-clipboard-component` copying the link.
+ * @property {HTMLElement} qrCode - The container of the QR code.
+ *
+ * @extends {DialogComponent<CartShareRefs>}
+ */
+class CartShareComponent extends DialogComponent {
+  requiredRefs = ['dialog', 'link', 'copyButton', 'qrCode'];
+
+  /**
+   * Renders the link of the current cart and shows it.
+   */
+  async share() {
+    const { link, copyButton, qrCode } = this.refs;
+    const cart = cartStore.cart ?? (await cartStore.refresh());
+    const url = getShareUrl(cart);
+
+    if (!url) return;
+
+    link.value = url;
+    copyButton.setAttribute('text-to-copy', url);
+    copyButton.querySelector('[ref="copySuccessMessage"]')?.classList.add('visually-hidden');
+
+    // The QR code is drawn when the element is connected
+    const image = document.createElement('qr-code-image');
+    image.setAttribute('data-identifier', url);
+    image.setAttribute('width', qrCode.dataset.size ?? '');
+    image.setAttribute('height', qrCode.dataset.size ?? '');
+    image.setAttribute('alt', qrCode.dataset.alt ?? '');
+    qrCode.replaceChildren(image);
+
+    this.showDialog();
+  }
+
+  /**
+   * Selects the link, so it can be copied by hand.
+   */
+  selectLink() {
+    this.refs.link.select();
+  }
+}
+
+if (!customElements.get('cart-share-component')) {
+  customElements.define('cart-share-component', CartShareComponent);
+}
+
+/**
+ * A custom element that opens a shared cart, after asking whether to merge it with the current cart or to replace it.
+ *
+ * @typedef {object} CartShareDialogRefs
+ * @property {HTMLDialogElement} dialog - The confirmation dialog.
+ * @property {HTMLElement} summary - The description of the shared cart.
+ * @property {HTMLElement} error - The message listing the items that couldn't be added.
+ * @property {HTMLButtonElement[]} [actions] - The merge and replace buttons.
+ *
+ * @extends {DialogComponent<CartShareDialogRefs>}
+ */
+class CartShareDialog extends DialogComponent {
+  requiredRefs = ['dialog', 'summary', 'error'];
+
+  /** @type {CartAddItem[]} */
+  #items = [];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#items = decodeItems(new URL(window.location.href).searchParams.get(SHARE_PARAMETER));
+
+    if (!this.#items.length) {
+      removeShareParameter();
+      return;
+    }
+
+    const quantity = this.#items.reduce((total, item) => total + item.quantity, 0);
+
+    this.refs.summary.textContent = (Theme.translations.cart_share_item_count ?? '').replace(
+      '[quantity]',
+      String(quantity)
+    );
+    this.refs.dialog.addEventListener('close', removeShareParameter, { once: true });
+    this.showDialog();
+  }
+
+  /**
+   * Adds the shared items to the current cart.
+   */
+  merge() {
+    this.#open({ replace: false });
+  }
+
+  /**
+   * Replaces the current cart with the shared items.
+   */
+  replace() {
+    this.#open({ replace: true });
+  }
+
+  /**
+   * Adds the shared items, after clearing the current cart when replacing it.
+   *
+   * Shared items can be lines of the current cart, so the cart is cleared first. Its lines are added back when none
+   * of the shared items could be added.
+   *
+   * @param {Object} options
+   * @param {boolean} options.replace - Whether to clear the current cart first
+   */
+  async #open({ replace }) {
+    const { error, actions = [] } = this.refs;
+
+    for (const button of actions) button.disabled = true;
+    error.hidden = true;
+
+    try {
+      /** @type {CartAddItem[]} */
+      let clearedItems = [];
+
+      if (replace) {
+        clearedItems = getCartItems(cartStore.cart ?? (await cartStore.refresh()));
+
+        try {
+          const { cart, sections } = await cartStore.clear({ sections: getCartSectionIds() });
+
+          this.dispatchEvent(
+            new CartUpdateEvent(cart, this.id, { source: 'cart-share-dialog', itemCount: cart.item_count, sections })
+          );
+        } catch (clearError) {
+          // The cart will be cleared once back online, before the shared items queued below are added
+          if (!(clearError instanceof CartOfflineError)) throw clearError;
+        }
+      }
+
+      /** @type {Awaited<ReturnType<typeof bulkAddToCart>>} */
+      let failures;
+
+      try {
+        failures = await bulkAddToCart(this, this.#items);
+      } catch (addError) {
+        // Queued items will be added once back online, replacing the cart as the shopper asked
+        if (!(addError instanceof CartOfflineError)) await this.#restoreItems(clearedItems);
+
+        throw addError;
+      }
+
+      if (failures.length === this.#items.length) await this.#restoreItems(clearedItems);
+
+      if (!failures.length) {
+        this.closeDialog();
+        return;
+      }
+
+      const messages = new Set(failures.map(({ error }) => error.message));
+
+      error.textContent = [Theme.translations.add_all_partial_error, ...messages].join(' ');
+      error.hidden = false;
+      this.#items = failures.map(({ item }) => item);
+    } catch (error) {
+      // The items will be added once back online
+      if (error instanceof CartOfflineError) {
+        this.closeDialog();
+        return;
+      }
+
+      console.error(error);
+    } finally {
+      for (const button of actions) button.disabled = false;
+    }
+  }
+
+  /**
+   * Adds back the lines of a cart cleared to replace it.
+   * @param {CartAddItem[]} items
+   */
+  async #restoreItems(items) {
+    if (!items.length) return;
+
+    try {
+      await bulkAddToCart(this, items);
+    } catch (restoreError) {
+      console.error(restoreError);
+    }
+  }
+}
+
+if (!customElements.get('cart-share-dialog')) {
+  customElements.define('cart-share-dialog', CartShareDialog);
+}
+
+/**
+ * Gets the link opening a cart, or null if the cart is empty.
+ * @param {Cart} cart
+ * @returns {string | null}
+ */
+function getShareUrl(cart) {
+  const items = getCartItems(cart);
+
+  if (!items.length) return null;
+
+  const url = new URL(Theme.routes.cart_url, window.location.origin);
+  url.searchParams.set(SHARE_PARAMETER, encodeItems(items));
+
+  return url.toString();
+}
+
+/**
+ * Gets the items to add to build a cart again.
+ *
+ * Lines of bundles are left out, as they're added with their parent line.
+ *
+ * @param {Cart} cart
+ * @returns {CartAddItem[]}
+ */
+function getCartItems(cart) {
+  return cart.items
+    .filter((item) => !item.parent_relationship)
+    .map((item) => ({
+      id: item.variant_id,
+      quantity: item.quantity,
+      ...(Object.keys(item.properties ?? {}).length ? { properties: item.properties } : {}),
+      ...(item.selling_plan_allocation ? { selling_plan: item.selling_plan_allocation.selling_plan.id } : {}),
+    }));
+}
+
+/**
+ * Encodes items as URL-safe base64.
+ * @param {CartAddItem[]} items
+ * @returns {string}
+ */
+function encodeItems(items) {
+  const bytes = new TextEncoder().encode(JSON.stringify(items));
+  const binary = Array.from(bytes, (byte) => String.fromCharCode(byte)).join('');
+
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes the items of a shared cart, leaving out anything that isn't a valid item.
+ * @param {string | null} value
+ * @returns {CartAddItem[]}
+ */
+function decodeItems(value) {
+  if (!value) return [];
+
+  try {
+    const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+    const items = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, (character) => character.charCodeAt(0))));
+
+    if (!Array.isArray(items)) return [];
+
+    return items.filter(
+      (item) => Number.isInteger(item?.id) && item.id > 0 && Number.isInteger(item.quantity) && item.quantity > 0
+    );
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * Removes the shared cart from the address, so reloading the page doesn't open it again.
+ */
+function removeShareParameter() {
+  const url = new URL(window.location.href);
+
+  if (!url.searchParams.has(SHARE_PARAMETER)) return;
+
+  url.searchParams.delete(SHARE_PARAMETER);
+  history.replaceState(history.state, '', url);
+}
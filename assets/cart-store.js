@@ -0,0 +1,942 @@
+import { fetchConfig } from '@theme/utilities';
+import { CartSyncEvent, CartUpdateEvent } from '@theme/events';
+import { cartSyncQueue } from '@theme/cart-sync-queue';
+
+/** @typedef {import('./cart-sync-queue').QueuedCartMutation} QueuedCartMutation */
+
+/**
+ * @typedef {Object} CartLineItem
+ * @property {string} key - The unique key of the line
+ * @property {number} id - The variant id of the line
+ * @property {number} variant_id - The variant id of the line
+ * @property {number} product_id - The product id of the line
+ * @property {number} quantity - The quantity of the line
+ * @property {number} price - The unit price in cents
+ * @property {number} final_price - The unit price after line level discounts in cents
+ * @property {number} final_line_price - The line price after line level discounts in cents
+ * @property {Record<string, string>} properties - The line item properties
+ * @property {{ key: string } | null} [parent_relationship] - The line this line is nested under
+ * @property {{ selling_plan: { id: number, name: string } } | null} selling_plan_allocation - The selling plan allocation
+ * @property {CartDiscountAllocation[]} [line_level_discount_allocations] - The discounts applied to the line
+ */
+
+/**
+ * @typedef {Object} CartDiscountAllocation
+ * @property {number} amount - The amount discounted in cents
+ * @property {{ title: string, type: string }} discount_application - The discount the amount comes from
+ */
+
+/**
+ * @typedef {Object} CartDiscountApplication
+ * @property {string} title - The title of the discount
+ * @property {string} type - The type of the discount
+ * @property {number} total_allocated_amount - The amount discounted in cents
+ */
+
+/**
+ * @typedef {Object} CartDiscountCode
+ * @property {string} code - The discount code
+ * @property {boolean} applicable - Whether the code applies to the cart
+ */
+
+/**
+ * @typedef {Object} Cart
+ * @property {string} token - The cart token
+ * @property {string | null} note - The cart note
+ * @property {Record<string, string>} attributes - The cart attributes
+ * @property {number} item_count - The number of items in the cart
+ * @property {number} items_subtotal_price - The subtotal of the cart in cents
+ * @property {number} original_total_price - The total before cart level discounts in cents
+ * @property {number} total_price - The total of the cart in cents
+ * @property {number} total_discount - The total amount discounted in cents
+ * @property {string} currency - The presentment currency of the cart
+ * @property {CartLineItem[]} items - The cart lines
+ * @property {CartDiscountApplication[]} cart_level_discount_applications - The cart level discounts
+ * @property {CartDiscountCode[]} [discount_codes] - The discount codes submitted with the last update
+ */
+
+/**
+ * @typedef {Object} CartAddItem
+ * @property {number} id - The variant id to add
+ * @property {number} quantity - The quantity to add
+ * @property {Record<string, string>} [properties] - The line item properties
+ * @property {number} [selling_plan] - The selling plan id
+ */
+
+/**
+ * @typedef {Object} CartAddFailure
+ * @property {CartAddItem} item - The item that couldn't be added
+ * @property {CartError} error - Why the item couldn't be added
+ */
+
+/**
+ * @typedef {Object} CartLineSnapshot
+ * @property {string} key - The key the line had
+ * @property {number} id - The variant id of the line
+ * @property {number} quantity - The quantity of the line
+ * @property {Record<string, string>} [properties] - The line item properties
+ * @property {number} [selling_plan] - The selling plan id of the line
+ */
+
+/**
+ * @typedef {Object} CartMutationOptions
+ * @property {string[]} [sections] - The ids of the sections to render with the mutation
+ * @property {string} [sectionsUrl] - The url the sections should be rendered for
+ * @property {AbortSignal} [signal] - A signal to abort the request
+ */
+
+/**
+ * @typedef {Object} CartMutationResult
+ * @property {Cart} cart - The full cart after the mutation
+ * @property {Record<string, string>} sections - The rendered sections, keyed by section id
+ */
+
+/**
+ * @template T
+ * @typedef {(cart: Cart) => T} CartSelector
+ */
+
+/**
+ * @template T
+ * @typedef {(value: T, cart: Cart) => void} CartListener
+ */
+
+/**
+ * The channel other tabs receive cart changes on
+ */
+const SYNC_CHANNEL_NAME = 'theme-cart';
+
+/**
+ * The storage key holding the revision of the last cart change, shared by every tab
+ */
+const SYNC_REVISION_KEY = 'theme-cart-revision';
+
+/**
+ * Selectors for the parts of the cart components usually care about.
+ */
+export const cartSelectors = {
+  /** @type {CartSelector<number>} */
+  itemCount: (cart) => cart.item_count,
+  /** @type {CartSelector<number>} */
+  subtotal: (cart) => cart.items_subtotal_price,
+  /** @type {CartSelector<CartDiscountApplication[]>} */
+  discounts: (cart) => cart.cart_level_discount_applications,
+  /** @type {CartSelector<string | null>} */
+  note: (cart) => cart.note,
+  /** @type {CartSelector<Record<string, string>>} */
+  attributes: (cart) => cart.attributes,
+};
+
+/**
+ * Error thrown when the cart API rejects a mutation.
+ */
+export class CartError extends Error {
+  /**
+   * @param {Object} response - The error response from the cart API
+   * @param {number | string} [response.status] - The status of the response
+   * @param {string} [response.message] - The error message
+   * @param {string} [response.description] - The error description
+   * @param {Object | string} [response.errors] - The errors per field
+   */
+  constructor({ status, message, description, errors }) {
+    super(description || message || (typeof errors === 'string' ? errors : 'Cart request failed'));
+    this.status = status;
+    this.title = message;
+    this.description = description;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Error thrown when a mutation couldn't reach the server and was queued to be replayed once back online.
+ */
+export class CartOfflineError extends Error {
+  constructor() {
+    super('The cart change will be saved when the connection is restored');
+  }
+}
+
+/**
+ * Error thrown when a request couldn't reach the server, e.g. because the shopper is offline.
+ */
+class CartNetworkError extends Error {
+  /**
+   * @param {unknown} cause - The error the request was rejected with
+   */
+  constructor(cause) {
+    super("The cart request couldn't reach the server");
+    this.cause = cause;
+  }
+}
+
+/**
+ * A store that owns the canonical cart.
+ *
+ * All cart mutations go through the store so they run one at a time, in the order they were requested,
+ * and every subscriber is notified with the full cart returned by the server. Mutations that can't reach
+ * the server are persisted and replayed when connectivity returns.
+ *
+ * Carts returned by mutations are broadcast to the other open tabs, which update their store and dispatch a
+ * `CartUpdateEvent` with the `cart-sync` source so their cart sections re-render.
+ */
+class CartStore {
+  /**
+   * The last known cart, including optimistic updates
+   * @type {Cart | null}
+   */
+  #cart = null;
+
+  /**
+   * The last cart returned by the server
+   * @type {Cart | null}
+   */
+  #confirmedCart = null;
+
+  /**
+   * The tail of the mutation queue
+   * @type {Promise<unknown>}
+   */
+  #queue = Promise.resolve();
+
+  /**
+   * The number of mutations queued while offline
+   * @type {number}
+   */
+  #pendingSyncCount = 0;
+
+  /**
+   * The active subscriptions
+   * @type {Set<{ listener: CartListener<any>, selector?: CartSelector<any>, value: any }>}
+   */
+  #subscriptions = new Set();
+
+  /**
+   * The channel used to share carts between tabs, when supported
+   * @type {BroadcastChannel | null}
+   */
+  #channel = 'BroadcastChannel' in window ? new BroadcastChannel(SYNC_CHANNEL_NAME) : null;
+
+  /**
+   * The revision of the last cart change this tab knows about
+   * @type {string | null}
+   */
+  #revision = readRevision();
+
+  constructor() {
+    window.addEventListener('online', () => this.#enqueue(() => this.#replayQueuedMutations()));
+
+    if (this.#channel) {
+      this.#channel.addEventListener('message', this.#handleChannelMessage);
+    } else {
+      window.addEventListener('storage', this.#handleStorage);
+    }
+
+    // Tabs can miss messages while they are frozen or in the back/forward cache
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') this.#reconcile();
+    });
+    window.addEventListener('pageshow', (event) => {
+      if (event.persisted) this.#reconcile();
+    });
+
+    this.#enqueue(async () => {
+      await this.#updatePendingSyncCount();
+      if (navigator.onLine) await this.#replayQueuedMutations();
+    });
+  }
+
+  /**
+   * The last known cart, or null if the cart hasn't been loaded yet.
+   * @returns {Cart | null}
+   */
+  get cart() {
+    return this.#cart;
+  }
+
+  /**
+   * Subscribes to cart changes.
+   *
+   * When a selector is given, the listener is only called when the selected value changes.
+   *
+   * @template [T=Cart]
+   * @param {CartListener<T>} listener - The function called with the selected value and the full cart
+   * @param {CartSelector<T>} [selector] - The selector for the part of the cart to listen to
+   * @returns {() => void} A function that removes the subscription
+   */
+  subscribe(listener, selector) {
+    const subscription = {
+      listener,
+      selector,
+      value: this.#cart && selector ? selector(this.#cart) : undefined,
+    };
+
+    this.#subscriptions.add(subscription);
+
+    return () => this.#subscriptions.delete(subscription);
+  }
+
+  /**
+   * Applies a local change to the cart before the server confirms it.
+   *
+   * The change is replaced by the next cart returned by the server, and reverted when a mutation fails.
+   * Does nothing if the cart hasn't been loaded yet.
+   *
+   * @param {(cart: Cart) => Cart} update - Returns the expected cart
+   */
+  applyOptimisticUpdate(update) {
+    if (!this.#cart) return;
+
+    this.#notify(update(this.#cart));
+  }
+
+  /**
+   * Fetches the current cart.
+   * @param {Pick<CartMutationOptions, 'signal'>} [options]
+   * @returns {Promise<Cart>}
+   */
+  refresh(options = {}) {
+    return this.#enqueue(() => this.#fetchCart(options.signal));
+  }
+
+  /**
+   * Adds items to the cart.
+   * @param {FormData | { items: CartAddItem[] }} body - The product form data or a list of items
+   * @param {CartMutationOptions} [options]
+   * @returns {Promise<CartMutationResult>}
+   */
+  add(body, options = {}) {
+    return this.#enqueue(() => this.#run('add', body, options));
+  }
+
+  /**
+   * Adds several items in one request.
+   *
+   * The add route rejects the whole request when one item can't be added, so the items that weren't added are
+   * then added one by one to find out which ones fail.
+   *
+   * @param {CartAddItem[]} items - The items to add
+   * @param {CartMutationOptions} [options]
+   * @returns {Promise<CartMutationResult & { failures: CartAddFailure[] }>}
+   */
+  addItems(items, options = {}) {
+    return this.#enqueue(async () => {
+      const quantitiesBefore = variantQuantities(this.#confirmedCart ?? (await this.#fetchCart(options.signal)));
+
+      try {
+        return { ...(await this.#run('add', { items }, options)), failures: [] };
+      } catch (error) {
+        if (!(error instanceof CartError)) throw error;
+      }
+
+      // The cart is reloaded after a failed add, which tells which items made it before the failing one
+      const quantitiesAfter = variantQuantities(this.#confirmedCart);
+      const remainingItems = items.filter(
+        (item) => (quantitiesAfter.get(item.id) ?? 0) - (quantitiesBefore.get(item.id) ?? 0) < item.quantity
+      );
+
+      /** @type {CartAddFailure[]} */
+      const failures = [];
+      /** @type {Record<string, string>} */
+      let sections = {};
+
+      for (const item of remainingItems) {
+        try {
+          ({ sections } = await this.#run('add', { items: [item] }, options));
+        } catch (error) {
+          if (!(error instanceof CartError)) throw error;
+
+          failures.push({ item, error });
+        }
+      }
+
+      return { cart: /** @type {Cart} */ (this.#confirmedCart), sections, failures };
+    });
+  }
+
+  /**
+   * Changes a single cart line.
+   * @param {Object} body - The change payload
+   * @param {number} [body.line] - The 1-based index of the line to change
+   * @param {string} [body.id] - The key of the line to change
+   * @param {number} body.quantity - The new quantity of the line
+   * @param {Record<string, string>} [body.properties] - The new properties of the line
+   * @param {number | null} [body.selling_plan] - The new selling plan of the line
+   * @param {CartMutationOptions} [options]
+   * @returns {Promise<CartMutationResult>}
+   */
+  change(body, options = {}) {
+    return this.#enqueue(() => this.#run('change', body, options));
+  }
+
+  /**
+   * Updates quantities, the note, attributes or discount codes of the cart.
+   * @param {Object} body - The update payload
+   * @param {Record<string, number>} [body.updates] - The new quantities keyed by line key or variant id
+   * @param {string} [body.note] - The new cart note
+   * @param {Record<string, string>} [body.attributes] - The cart attributes to set
+   * @param {string} [body.discount] - The comma separated discount codes to apply
+   * @param {CartMutationOptions} [options]
+   * @returns {Promise<CartMutationResult>}
+   */
+  update(body, options = {}) {
+    return this.#enqueue(() => this.#run('update', body, options));
+  }
+
+  /**
+   * Adds a removed line back to the cart, at the position it had.
+   *
+   * Does nothing if the line is still in the cart, e.g. because its removal failed.
+   * If the lines can't be moved to put it back in position, they're added back and the line stays where it was added.
+   *
+   * @param {CartLineSnapshot} line - The line as it was before its removal
+   * @param {number} index - The 0-based position the line had
+   * @param {CartMutationOptions} [options]
+   * @returns {Promise<CartMutationResult>}
+   */
+  restoreLine(line, index, options = {}) {
+    return this.#enqueue(async () => {
+      const currentCart = this.#confirmedCart ?? (await this.#fetchCart(options.signal));
+      if (currentCart.items.some((item) => item.key === line.key)) return { cart: currentCart, sections: {} };
+
+      const item = toAddItem(line);
+      const result = await this.#run('add', { items: [item] }, options);
+      const { items } = result.cart;
+      const position = items.findIndex(
+        (cartItem) => !currentCart.items.some(({ key }) => key === cartItem.key) && cartItem.variant_id === item.id
+      );
+
+      if (position === -1 || position === index) return result;
+      if (items.some((cartItem) => cartItem.parent_relationship)) return result;
+
+      // New lines are added at one end of the cart, so the lines that belong between that end and the restored
+      // line are added again after it
+      const linesToMove = position < index ? items.slice(position + 1, index + 1) : items.slice(index, position);
+      const updates = Object.fromEntries(linesToMove.map(({ key }) => [key, 0]));
+      const movedItems = linesToMove.map((cartItem) => toAddItem(toLineSnapshot(cartItem)));
+
+      try {
+        await this.#send('update', { updates }, {});
+
+        return await this.#send('add', { items: movedItems }, options);
+      } catch (error) {
+        // The line is restored either way, only its position is given up
+        console.error(error);
+        await this.#restoreLines(result.cart).catch((rollbackError) => console.error(rollbackError));
+
+        return { cart: this.#confirmedCart ?? result.cart, sections: {} };
+      }
+    });
+  }
+
+  /**
+   * Changes the properties of a line.
+   *
+   * The cart API can't change the properties of a line, so a line with the new properties is added, then the old line
+   * is removed. If either step fails, the quantities of the cart are set back to what they were.
+   * Both steps need the network, so the change isn't queued while offline.
+   *
+   * @param {string} key - The key of the line
+   * @param {Record<string, string>} properties - The new properties of the line
+   * @param {CartMutationOptions} [options]
+   * @returns {Promise<CartMutationResult>}
+   */
+  replaceLineProperties(key, properties, options = {}) {
+    return this.#enqueue(async () => {
+      await this.#replayQueuedMutations();
+
+      const currentCart = await this.#fetchCart(options.signal);
+      const line = currentCart.items.find((item) => item.key === key);
+
+      if (!line || isEqual(line.properties ?? {}, properties)) return { cart: currentCart, sections: {} };
+
+      try {
+        await this.#send('add', { items: [{ ...toAddItem(toLineSnapshot(line)), properties }] }, {});
+
+        return await this.#send('change', { id: key, quantity: 0 }, options);
+      } catch (error) {
+        await this.#restoreQuantities(currentCart).catch((rollbackError) => console.error(rollbackError));
+
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Removes every line from the cart.
+   * @param {CartMutationOptions} [options]
+   * @returns {Promise<CartMutationResult>}
+   */
+  clear(options = {}) {
+    return this.#enqueue(() => this.#run('clear', {}, options));
+  }
+
+  /**
+   * The number of mutations waiting for connectivity to be sent.
+   * @returns {number}
+   */
+  get pendingSyncCount() {
+    return this.#pendingSyncCount;
+  }
+
+  /**
+   * Sends a mutation after the mutations queued while offline.
+   *
+   * If the network is unavailable, the mutation is queued to be replayed when connectivity returns.
+   *
+   * @param {QueuedCartMutation['type']} type - The type of mutation
+   * @param {Object} body - The mutation payload
+   * @param {CartMutationOptions} options
+   * @returns {Promise<CartMutationResult>}
+   */
+  async #run(type, body, options) {
+    try {
+      await this.#replayQueuedMutations();
+
+      return await this.#send(type, body, options);
+    } catch (error) {
+      if (!(error instanceof CartNetworkError)) throw error;
+
+      await this.#queueMutation(type, body);
+      throw new CartOfflineError();
+    }
+  }
+
+  /**
+   * Sends a mutation to the cart API.
+   * @param {QueuedCartMutation['type']} type - The type of mutation
+   * @param {Object} body - The mutation payload
+   * @param {CartMutationOptions} options
+   * @returns {Promise<CartMutationResult>}
+   */
+  async #send(type, body, options) {
+    if (type === 'add') return this.#sendAdd(body, options);
+
+    const { routes } = Theme;
+    const url = { change: routes.cart_change_url, update: routes.cart_update_url, clear: routes.cart_clear_url }[type];
+    const config = fetchConfig('json', { body: JSON.stringify(withSections(body, options)) });
+    const response = await request(url, { ...config, signal: options.signal });
+    const data = await response.json();
+
+    if (data.status || data.errors) {
+      // Some rejected changes still apply partially (e.g. when a quantity exceeds the stock)
+      this.#broadcast(await this.#fetchCart(options.signal));
+      throw new CartError(data);
+    }
+
+    const { sections, ...cart } = data;
+    this.#setCart(cart);
+    this.#broadcast(cart);
+
+    return { cart, sections: sections ?? {} };
+  }
+
+  /**
+   * Posts items to the add route and reloads the cart.
+   * @param {FormData | Object} body - The product form data or a list of items
+   * @param {CartMutationOptions} options
+   * @returns {Promise<CartMutationResult>}
+   */
+  async #sendAdd(body, options) {
+    const { sections, sectionsUrl, signal } = options;
+    let config;
+
+    if (body instanceof FormData) {
+      if (sections?.length) body.set('sections', sections.join(','));
+      if (sectionsUrl) body.set('sections_url', sectionsUrl);
+
+      config = fetchConfig('javascript', { body });
+      config.headers = { ...config.headers, Accept: 'text/html' };
+    } else {
+      config = fetchConfig('json', { body: JSON.stringify(withSections(body, options)) });
+    }
+
+    const response = await request(Theme.routes.cart_add_url, { ...config, signal });
+    const data = await response.json();
+
+    // The add endpoint can partially succeed, so the cart is always reloaded before reporting the error
+    const cart = await this.#fetchCart(signal);
+    this.#broadcast(cart);
+
+    if (data.status) throw new CartError(data);
+
+    return { cart, sections: data.sections ?? {} };
+  }
+
+  /**
+   * Persists a mutation that couldn't reach the server.
+   * @param {QueuedCartMutation['type']} type - The type of mutation
+   * @param {FormData | Object} body - The mutation payload
+   */
+  async #queueMutation(type, body) {
+    /** @type {Record<string, any>} */
+    let payload = body;
+    let dedupeKey = null;
+
+    if (body instanceof FormData) {
+      // Form data can't be stored, and the rendered sections won't be used when replaying
+      const entries = [...body.entries()].filter(([name]) => name !== 'sections' && name !== 'sections_url');
+      payload = { formData: entries };
+    }
+
+    if (type === 'change') {
+      // Lines are identified by key, because their index changes as other mutations are replayed
+      const key = payload.id ?? this.#confirmedCart?.items[payload.line - 1]?.key;
+      if (key) payload = { ...payload, id: key, line: undefined };
+
+      dedupeKey = `change:${payload.id ?? payload.line}`;
+    } else if (type === 'update') {
+      // An update only replaces a queued one that sets the same lines, attributes and fields
+      dedupeKey = `update:${getUpdateTargets(payload).join(',')}`;
+    }
+
+    await cartSyncQueue.push({ type, body: payload, dedupeKey, timestamp: Date.now() });
+    await this.#updatePendingSyncCount();
+  }
+
+  /**
+   * Replays the mutations queued while offline, in order.
+   *
+   * Mutations rejected by the server are dropped. Throws if the network is still unavailable.
+   */
+  async #replayQueuedMutations() {
+    if (this.#pendingSyncCount === 0) return;
+
+    const mutations = await cartSyncQueue.entries();
+    let replayed = false;
+
+    try {
+      for (const { id, type, body } of mutations) {
+        const payload = 'formData' in body ? toFormData(body.formData) : body;
+
+        try {
+          await this.#send(type, payload, {});
+        } catch (error) {
+          if (!(error instanceof CartError)) throw error;
+        }
+
+        if (id !== undefined) await cartSyncQueue.delete(id);
+        replayed = true;
+      }
+    } finally {
+      await this.#updatePendingSyncCount();
+
+      const cart = this.#confirmedCart;
+      if (replayed && cart) {
+        document.dispatchEvent(
+          new CartUpdateEvent(cart, 'cart-store', { source: 'cart-store', itemCount: cart.item_count })
+        );
+      }
+    }
+  }
+
+  /**
+   * Reads the number of queued mutations and notifies the page when it changes.
+   */
+  async #updatePendingSyncCount() {
+    const count = (await cartSyncQueue.entries()).length;
+
+    if (count === this.#pendingSyncCount) return;
+
+    this.#pendingSyncCount = count;
+    document.dispatchEvent(new CartSyncEvent(count));
+  }
+
+  /**
+   * Adds back the lines of a previous cart that were removed, and sets the quantities back, after a change made of
+   * several requests failed.
+   * @param {Cart} previousCart
+   */
+  async #restoreLines(previousCart) {
+    const cart = await this.#fetchCart();
+    const removedLines = previousCart.items.filter(({ key }) => !cart.items.some((item) => item.key === key));
+
+    if (removedLines.length) {
+      await this.#send('add', { items: removedLines.map((item) => toAddItem(toLineSnapshot(item))) }, {});
+    }
+
+    await this.#restoreQuantities(previousCart);
+  }
+
+  /**
+   * Sets the quantities of the lines back to the ones of a previous cart, after a change made of several requests failed.
+   * @param {Cart} previousCart
+   */
+  async #restoreQuantities(previousCart) {
+    const quantities = new Map(previousCart.items.map(({ key, quantity }) => [key, quantity]));
+    const cart = await this.#fetchCart();
+    const updates = Object.fromEntries(
+      cart.items
+        .filter(({ key, quantity }) => quantities.get(key) !== quantity)
+        .map(({ key }) => [key, quantities.get(key) ?? 0])
+    );
+
+    if (Object.keys(updates).length === 0) return;
+
+    await this.#send('update', { updates }, {});
+  }
+
+  /**
+   * Shares a cart returned by a mutation with the other tabs.
+   * @param {Cart} cart
+   */
+  #broadcast(cart) {
+    const revision = `${Date.now()}:${cart.token}`;
+
+    this.#revision = revision;
+    this.#channel?.postMessage({ revision, cart });
+
+    try {
+      // Also lets the tabs without a channel, and the tabs that missed the message, know the cart changed
+      localStorage.setItem(SYNC_REVISION_KEY, revision);
+    } catch (_) {
+      // no-op, the storage can be unavailable (e.g. in private browsing)
+    }
+  }
+
+  /**
+   * Applies a cart broadcast by another tab.
+   * @param {MessageEvent<{ revision: string, cart: Cart }>} event
+   */
+  #handleChannelMessage = (event) => {
+    const { revision, cart } = event.data;
+
+    this.#revision = revision;
+
+    if (isEqual(cart, this.#confirmedCart)) return;
+
+    this.#setCart(cart);
+    this.#dispatchSync(cart);
+  };
+
+  /**
+   * Reloads the cart when another tab changed it, in browsers without `BroadcastChannel`.
+   * @param {StorageEvent} event
+   */
+  #handleStorage = (event) => {
+    if (event.key === SYNC_REVISION_KEY) this.#reconcile();
+  };
+
+  /**
+   * Reloads the cart if another tab changed it since this tab last heard about it.
+   */
+  #reconcile() {
+    const revision = readRevision();
+    if (revision === this.#revision) return;
+
+    this.#revision = revision;
+    this.#enqueue(async () => {
+      const previousCart = this.#confirmedCart;
+      const cart = await this.#fetchCart();
+
+      if (!isEqual(cart, previousCart)) this.#dispatchSync(cart);
+    }).catch(() => {
+      // no-op, the next mutation or reconciliation reloads the cart
+    });
+  }
+
+  /**
+   * Lets the cart components re-render after another tab changed the cart.
+   * @param {Cart} cart
+   */
+  #dispatchSync(cart) {
+    document.dispatchEvent(
+      new CartUpdateEvent(cart, 'cart-store', { source: 'cart-sync', itemCount: cart.item_count })
+    );
+  }
+
+  /**
+   * Fetches the cart and notifies the subscribers.
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<Cart>}
+   */
+  async #fetchCart(signal) {
+    const response = await request(`${Theme.routes.cart_url}.js`, { signal });
+    const cart = await response.json();
+
+    this.#setCart(cart);
+
+    return cart;
+  }
+
+  /**
+   * Queues a task so that it runs after every previously requested task settled.
+   * @template T
+   * @param {() => Promise<T>} task
+   * @returns {Promise<T>}
+   */
+  #enqueue(task) {
+    const result = this.#queue.then(task);
+    this.#queue = result.catch(() => {
+      if (this.#confirmedCart && this.#cart !== this.#confirmedCart) this.#notify(this.#confirmedCart);
+    });
+
+    return result;
+  }
+
+  /**
+   * Stores a cart returned by the server and notifies the subscribers.
+   * @param {Cart} cart
+   */
+  #setCart(cart) {
+    this.#confirmedCart = cart;
+    this.#notify(cart);
+  }
+
+  /**
+   * Sets the current cart and notifies the subscribers whose selected value changed.
+   * @param {Cart} cart
+   */
+  #notify(cart) {
+    this.#cart = cart;
+
+    for (const subscription of this.#subscriptions) {
+      const { listener, selector } = subscription;
+
+      // A failing subscriber must neither stop the others nor fail the mutation that notified it
+      try {
+        if (!selector) {
+          listener(cart, cart);
+          continue;
+        }
+
+        const value = selector(cart);
+        if (isEqual(value, subscription.value)) continue;
+
+        subscription.value = value;
+        listener(value, cart);
+      } catch (error) {
+        console.error(error);
+      }
+    }
+  }
+}
+
+/**
+ * Adds the section rendering parameters to a mutation payload.
+ * @param {Object} body - The mutation payload
+ * @param {CartMutationOptions} options
+ * @returns {Object} The payload with the sections to render
+ */
+function withSections(body, { sections, sectionsUrl }) {
+  if (!sections?.length) return body;
+
+  return {
+    ...body,
+    sections: sections.join(','),
+    sections_url: sectionsUrl ?? window.location.pathname,
+  };
+}
+
+/**
+ * Fetches a cart route, telling the requests that couldn't reach the server apart from the other errors.
+ *
+ * Only the rejections of `fetch` are network errors: an error thrown once the response arrived means the server may
+ * have applied the mutation, so it must not be queued and replayed.
+ *
+ * @param {string} url
+ * @param {RequestInit} init
+ * @returns {Promise<Response>}
+ */
+async function request(url, init) {
+  try {
+    return await fetch(url, init);
+  } catch (error) {
+    if (init.signal?.aborted) throw error;
+
+    throw new CartNetworkError(error);
+  }
+}
+
+/**
+ * Gets what an update payload sets: its top-level fields, and each line and attribute of its maps.
+ * @param {Record<string, any>} payload - The update payload
+ * @returns {string[]} The sorted targets, e.g. `updates.<line key>` or `note`
+ */
+function getUpdateTargets(payload) {
+  return Object.entries(payload)
+    .flatMap(([name, value]) =>
+      value && typeof value === 'object' && !Array.isArray(value)
+        ? Object.keys(value).map((key) => `${name}.${key}`)
+        : [name]
+    )
+    .sort();
+}
+
+/**
+ * Gets what's needed to add a cart line again.
+ * @param {CartLineItem} item
+ * @returns {CartLineSnapshot}
+ */
+function toLineSnapshot(item) {
+  return {
+    key: item.key,
+    id: item.variant_id,
+    quantity: item.quantity,
+    properties: item.properties ?? {},
+    selling_plan: item.selling_plan_allocation?.selling_plan.id,
+  };
+}
+
+/**
+ * Gets the add route payload for a line.
+ * @param {CartLineSnapshot} line
+ * @returns {CartAddItem}
+ */
+function toAddItem({ id, quantity, properties, selling_plan }) {
+  return { id, quantity, properties, selling_plan };
+}
+
+/**
+ * Sums the quantities in the cart of each variant.
+ * @param {Cart | null} cart
+ * @returns {Map<number, number>}
+ */
+function variantQuantities(cart) {
+  const quantities = new Map();
+
+  for (const item of cart?.items ?? []) {
+    quantities.set(item.variant_id, (quantities.get(item.variant_id) ?? 0) + item.quantity);
+  }
+
+  return quantities;
+}
+
+/**
+ * Reads the revision of the last cart change made in any tab.
+ * @returns {string | null}
+ */
+function readRevision() {
+  try {
+    return localStorage.getItem(SYNC_REVISION_KEY);
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Rebuilds form data from its entries.
+ * @param {[string, FormDataEntryValue][]} entries
+ * @returns {FormData}
+ */
+function toFormData(entries) {
+  const formData = new FormData();
+
+  for (const [name, value] of entries) formData.append(name, value);
+
+  return formData;
+}
+
+/**
+ * Compares two selected values.
+ * @param {unknown} a
+ * @param {unknown} b
+ * @returns {boolean} Whether the values are equal
+ */
+function isEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+export const cartStore = new CartStore();
@@ -0,0 +1,118 @@
+/**
+ * @typedef {Object} QueuedCartMutation
+ * @property {number} [id] - The auto-incremented id, which is also the replay order
+ * @property {'add' | 'change' | 'update' | 'clear'} type - The cart route to replay the mutation on
+ * @property {Record<string, any>} body - The mutation payload
+ * @property {string | null} dedupeKey - Mutations with the same key replace each other
+ * @property {number} timestamp - When the mutation was requested
+ */
+
+const DATABASE_NAME = 'theme-cart';
+const DATABASE_VERSION = 1;
+const STORE_NAME = 'mutations';
+
+/**
+ * A persistent, ordered queue of cart mutations that couldn't reach the server.
+ */
+class CartSyncQueue {
+  /**
+   * The database connection
+   * @type {Promise<IDBDatabase> | null}
+   */
+  #database = null;
+
+  /**
+   * Adds a mutation to the end of the queue.
+   *
+   * A queued mutation with the same dedupe key is replaced instead, keeping its position in the replay order.
+   *
+   * @param {Omit<QueuedCartMutation, 'id'>} mutation
+   * @returns {Promise<void>}
+   */
+  async push(mutation) {
+    const database = await this.#open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(STORE_NAME, 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+
+      if (mutation.dedupeKey) {
+        const request = store.index('dedupeKey').getAllKeys(mutation.dedupeKey);
+
+        request.onsuccess = () => {
+          const [id, ...duplicateIds] = request.result;
+
+          if (id === undefined) {
+            store.add(mutation);
+          } else {
+            store.put({ ...mutation, id });
+            duplicateIds.forEach((duplicateId) => store.delete(duplicateId));
+          }
+        };
+      } else {
+        store.add(mutation);
+      }
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Gets every queued mutation, in replay order.
+   * @returns {Promise<QueuedCartMutation[]>}
+   */
+  async entries() {
+    const database = await this.#open();
+
+    return new Promise((resolve, reject) => {
+      const request = database.transaction(STORE_NAME).objectStore(STORE_NAME).getAll();
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Removes a mutation from the queue.
+   * @param {number} id
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    const database = await this.#open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(STORE_NAME, 'readwrite');
+      transaction.objectStore(STORE_NAME).delete(id);
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Opens the database, creating it on first use.
+   * @returns {Promise<IDBDatabase>}
+   */
+  #open() {
+    if (this.#database) return this.#database;
+
+    this.#database = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('dedupeKey', 'dedupeKey');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        this.#database = null;
+        reject(request.error);
+      };
+    });
+
+    return this.#database;
+  }
+}
+
+export const cartSyncQueue = new CartSyncQueue();
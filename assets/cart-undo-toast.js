@@ -0,0 +1,185 @@
+import { Component } from '@theme/component';
+
+/**
+ * A custom element that offers to undo a cart change for a limited time.
+ *
+ * The timer pauses while the toast is hovered or focused, so there's always time to reach the action.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} toast - The visible toast.
+ * @property {HTMLElement} message - The message of the toast.
+ * @property {HTMLButtonElement} undoButton - The undo button.
+ * @property {HTMLElement} liveRegion - The region announcing the changes.
+ *
+ * @extends {Component<Refs>}
+ */
+export class CartUndoToast extends Component {
+  requiredRefs = ['toast', 'message', 'undoButton', 'liveRegion'];
+
+  /**
+   * Resolves the toast currently shown
+   * @type {((undone: boolean) => void) | null}
+   */
+  #resolve = null;
+
+  /** @type {number | undefined} */
+  #timeout;
+
+  /**
+   * The time left before the toast closes, in milliseconds
+   * @type {number}
+   */
+  #remaining = 0;
+
+  /** @type {number} */
+  #startedAt = 0;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.addEventListener('pointerenter', this.#pause);
+    this.addEventListener('pointerleave', this.#resume);
+    this.addEventListener('focusin', this.#pause);
+    this.addEventListener('focusout', this.#resume);
+    this.addEventListener('keydown', this.#handleKeydown);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.removeEventListener('pointerenter', this.#pause);
+    this.removeEventListener('pointerleave', this.#resume);
+    this.removeEventListener('focusin', this.#pause);
+    this.removeEventListener('focusout', this.#resume);
+    this.removeEventListener('keydown', this.#handleKeydown);
+    this.#close(false);
+  }
+
+  /**
+   * How long the undo action is available, in milliseconds.
+   * @returns {number}
+   */
+  get duration() {
+    return Number(this.dataset.duration ?? 0) * 1000;
+  }
+
+  /**
+   * Shows the toast, replacing the one currently shown.
+   * @param {string} message - The message describing the change
+   * @param {Object} [options]
+   * @param {boolean} [options.focus] - Whether to move the focus to the undo button
+   * @returns {Promise<boolean>} Whether the change should be undone
+   */
+  show(message, { focus = false } = {}) {
+    this.#close(false);
+
+    if (this.duration <= 0) return Promise.resolve(false);
+
+    const { toast, message: messageElement, undoButton } = this.refs;
+
+    messageElement.textContent = message;
+    this.announce(message);
+    toast.hidden = false;
+    if (focus) undoButton.focus();
+
+    this.#remaining = this.duration;
+    this.#startTimer();
+
+    return new Promise((resolve) => {
+      this.#resolve = resolve;
+    });
+  }
+
+  /**
+   * Announces a message to screen readers.
+   * @param {string} message
+   */
+  announce(message) {
+    this.refs.liveRegion.textContent = message;
+  }
+
+  /**
+   * Undoes the change.
+   */
+  undo() {
+    this.#close(true);
+  }
+
+  /**
+   * Closes the toast without undoing the change.
+   */
+  dismiss() {
+    this.#close(false);
+  }
+
+  /**
+   * Closes the toast and settles the promise returned by `show`.
+   * @param {boolean} undone
+   */
+  #close(undone) {
+    clearTimeout(this.#timeout);
+
+    const resolve = this.#resolve;
+    if (!resolve) return;
+
+    this.#resolve = null;
+
+    // Don't leave the focus on a hidden element
+    const hadFocus = this.refs.toast.contains(document.activeElement);
+    this.refs.toast.hidden = true;
+    if (hadFocus) this.#focusFallback();
+
+    resolve(undone);
+  }
+
+  #startTimer() {
+    this.#startedAt = Date.now();
+    this.#timeout = setTimeout(() => this.#close(false), this.#remaining);
+  }
+
+  #pause = () => {
+    if (!this.#resolve) return;
+
+    clearTimeout(this.#timeout);
+    this.#remaining -= Date.now() - this.#startedAt;
+  };
+
+  /**
+   * @param {Event} event
+   */
+  #resume = (event) => {
+    if (!this.#resolve) return;
+    if (this.matches(':hover') || this.contains(document.activeElement)) return;
+    if (event instanceof FocusEvent && this.contains(/** @type {Node | null} */ (event.relatedTarget))) return;
+
+    clearTimeout(this.#timeout);
+    this.#startTimer();
+  };
+
+  /**
+   * @param {KeyboardEvent} event
+   */
+  #handleKeydown = (event) => {
+    if (event.key !== 'Escape' || !this.#resolve) return;
+
+    // Keep the cart drawer open
+    event.stopPropagation();
+    event.preventDefault();
+    this.dismiss();
+  };
+
+  /**
+   * Moves the focus to the closest focusable element, e.g. when the focused toast closes.
+   */
+  #focusFallback() {
+    const container = this.closest('dialog') ?? this.parentElement;
+    const targets = container?.querySelectorAll('a[href], button:not([hidden]):not([disabled])') ?? [];
+    const target = Array.from(targets).find((element) => !this.contains(element));
+
+    if (target instanceof HTMLElement) target.focus();
+  }
+}
+
+if (!customElements.get('cart-undo-toast')) {
+  customElements.define('cart-undo-toast', CartUndoToast);
+}
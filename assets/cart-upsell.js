@@ -0,0 +1,160 @@
+import { Component } from '@theme/component';
+import { CartAddEvent, ThemeEvents } from '@theme/events';
+
+/**
+ * The section rendering the recommendations
+ */
+const SECTION_ID = 'section-rendering-cart-upsell';
+
+/**
+ * The intent used when the configured one has nothing to recommend
+ */
+const FALLBACK_INTENT = 'related';
+
+/**
+ * A custom element that shows recommendations for the product most recently added to the cart.
+ *
+ * The recommendations are loaded once the rail is visible, and again when a product is added to the cart or when a
+ * recommended product ends up in the cart.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} container - The rail, hidden while there's nothing to recommend.
+ * @property {HTMLElement} content - The element the recommendations are rendered in.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartUpsellComponent extends Component {
+  requiredRefs = ['container', 'content'];
+
+  /** @type {AbortController | null} */
+  #activeFetch = null;
+
+  /**
+   * The product to recommend products for.
+   * @type {string | undefined}
+   */
+  #productId;
+
+  /** Whether the rendered recommendations are out of date */
+  #isStale = true;
+
+  #isVisible = false;
+
+  #intersectionObserver = new IntersectionObserver((entries) => {
+    this.#isVisible = entries.some((entry) => entry.isIntersecting);
+
+    if (this.#isVisible && this.#isStale) this.#load();
+  });
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#productId = this.dataset.productId || undefined;
+    this.#intersectionObserver.observe(this);
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#intersectionObserver.disconnect();
+    this.#activeFetch?.abort();
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+  }
+
+  /**
+   * Recommends products for the product just added, and leaves out the recommended products now in the cart.
+   * @param {Event} event - The cart add or update event.
+   */
+  #handleCartUpdate = (event) => {
+    if (event instanceof CartAddEvent && event.detail.data.productId) {
+      this.#productId = String(event.detail.data.productId);
+      this.#isStale = true;
+    } else if (this.#showsProductInCart(/** @type {CustomEvent} */ (event).detail?.resource)) {
+      this.#isStale = true;
+    }
+
+    if (this.#isVisible && this.#isStale) this.#load();
+  };
+
+  /**
+   * Whether a product in the cart is among the rendered recommendations.
+   * @param {{ items?: { product_id: number }[] } | undefined} cart
+   * @returns {boolean}
+   */
+  #showsProductInCart(cart) {
+    const { content } = this.refs;
+
+    return (cart?.items ?? []).some((item) => content.querySelector(`[data-product-id="${item.product_id}"]`));
+  }
+
+  /**
+   * Loads and renders the recommendations, falling back to related products when the configured intent has none.
+   */
+  async #load() {
+    const productId = this.#productId;
+    if (!productId) return;
+
+    this.#isStale = false;
+    this.#activeFetch?.abort();
+
+    const abortController = new AbortController();
+    this.#activeFetch = abortController;
+
+    try {
+      const intents = new Set([this.dataset.intent || FALLBACK_INTENT, FALLBACK_INTENT]);
+
+      for (const intent of intents) {
+        const content = await this.#fetchRecommendations(productId, intent, abortController.signal);
+
+        if (Number(content?.dataset.slideCount) > 0) {
+          this.#render(content);
+          return;
+        }
+      }
+
+      this.#render(null);
+    } catch (error) {
+      if (abortController.signal.aborted) return;
+
+      console.error('Cart upsell error:', error);
+      this.#render(null);
+    } finally {
+      if (this.#activeFetch === abortController) this.#activeFetch = null;
+    }
+  }
+
+  /**
+   * Fetches the recommendations section. It isn't cached, as it leaves out the products in the cart.
+   * @param {string} productId
+   * @param {string} intent
+   * @param {AbortSignal} signal
+   * @returns {Promise<HTMLElement | null>} The rendered recommendations.
+   */
+  async #fetchRecommendations(productId, intent, signal) {
+    const url = `${this.dataset.url}&product_id=${productId}&section_id=${SECTION_ID}&intent=${intent}`;
+    const response = await fetch(url, { signal });
+
+    if (!response.ok) throw new Error(`Failed to load recommendations: ${response.status}`);
+
+    const html = new DOMParser().parseFromString(await response.text(), 'text/html');
+
+    return /** @type {HTMLElement | null} */ (html.querySelector('.cart-upsell__content'));
+  }
+
+  /**
+   * Renders the recommendations, or hides the rail when there are none.
+   * @param {HTMLElement | null} recommendations
+   */
+  #render(recommendations) {
+    const { container, content } = this.refs;
+
+    content.replaceChildren(...(recommendations ? [recommendations] : []));
+
+    container.hidden = !recommendations;
+  }
+}
+
+if (!customElements.get('cart-upsell-component')) {
+  customElements.define('cart-upsell-component', CartUpsellComponent);
+}
@@ -1,5 +1,13 @@
 import { Component } from '@theme/component';
-import { fetchConfig, debounce, onAnimationEnd, prefersReducedMotion, resetShimmer } from '@theme/utilities';
+import {
+  debounce,
+  hideFieldError,
+  onAnimationEnd,
+  prefersReducedMotion,
+  requestIdleCallback,
+  resetShimmer,
+  validateField,
+} from '@theme/utilities';
 import { morphSection, sectionRenderer } from '@theme/section-renderer';
 import {
   ThemeEvents,
@@ -9,8 +17,13 @@ import {
   DiscountUpdateEvent,
 } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
+import { cartStore, CartError, CartOfflineError } from '@theme/cart-store';
+import { formatPrice } from '@theme/money-formatting';
+import { savedForLater } from '@theme/saved-for-later';
 
 /** @typedef {import('./utilities').TextComponent} TextComponent */
+/** @typedef {import('./cart-undo-toast').CartUndoToast} CartUndoToast */
+/** @typedef {import('./cart-store').CartLineSnapshot} CartLineSnapshot */
 
 /**
  * A custom element that displays a cart items component.
@@ -18,28 +31,82 @@ import { cartPerformance } from '@theme/performance';
  * @typedef {object} Refs
  * @property {HTMLElement[]} quantitySelectors - The quantity selector elements.
  * @property {HTMLTableRowElement[]} cartItemRows - The cart item rows.
+ * @property {TextComponent[]} linePrices - The line price of each cart item row.
  * @property {TextComponent} cartTotal - The cart total.
+ * @property {CartUndoToast} [undoToast] - The toast offering to undo line removals.
  *
  * @extends {Component<Refs>}
  */
 class CartItemsComponent extends Component {
   #debouncedOnChange = debounce(this.#onQuantityChange, 300).bind(this);
 
+  #debouncedSyncQuantities = debounce(this.#syncQuantities, 300).bind(this);
+
+  /**
+   * Quantities of optimistically updated lines that haven't been sent yet, keyed by line.
+   * @type {Map<number, number>}
+   */
+  #pendingQuantities = new Map();
+
+  /**
+   * The last confirmed state of optimistically updated lines, used to roll back failed changes.
+   * @type {Map<number, { quantity: number, price: string }>}
+   */
+  #confirmedLines = new Map();
+
+  /** @type {boolean} */
+  #isSyncing = false;
+
   connectedCallback() {
     super.connectedCallback();
 
     document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
     document.addEventListener(ThemeEvents.discountUpdate, this.handleDiscountUpdate);
-    document.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
+    document.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#handleQuantitySelectorUpdate);
+
+    // Optimistic updates are computed from the store, so make sure it knows the cart
+    if (this.optimistic && this.refs.cartItemRows?.length) {
+      requestIdleCallback(() => {
+        if (!cartStore.cart) cartStore.refresh();
+      });
+    }
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
 
     document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
-    document.removeEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
+    document.removeEventListener(ThemeEvents.quantitySelectorUpdate, this.#handleQuantitySelectorUpdate);
   }
 
+  /**
+   * Whether quantity changes are shown before the server confirms them.
+   * @returns {boolean}
+   */
+  get optimistic() {
+    return this.hasAttribute('optimistic');
+  }
+
+  /**
+   * Handles QuantitySelectorUpdateEvent events.
+   * @param {QuantitySelectorUpdateEvent} event - The event.
+   */
+  #handleQuantitySelectorUpdate = (event) => {
+    const { quantity, cartLine: line } = event.detail;
+
+    if (!this.optimistic || !line || quantity === 0) {
+      if (line) this.#pendingQuantities.delete(line);
+      this.#debouncedOnChange(event);
+      return;
+    }
+
+    if (!(event.target instanceof Node) || !this.contains(event.target)) return;
+
+    this.#applyOptimisticQuantity(line, quantity);
+    this.#pendingQuantities.set(line, quantity);
+    this.#debouncedSyncQuantities();
+  };
+
   /**
    * Handles QuantitySelectorUpdateEvent change event.
    * @param {QuantitySelectorUpdateEvent} event - The event.
@@ -71,7 +138,175 @@ class CartItemsComponent extends Component {
    * @param {number} line - The line item index.
    */
   onLineItemRemove(line) {
-    this.updateQuantity({
+    this.#removeLine(line, { offerUndo: true });
+  }
+
+  /**
+   * Moves a line from the cart to the saved for later list.
+   * Lines with nested lines aren't saved, since the nested lines would be removed without being saved.
+   * @param {number} line - The line item index.
+   */
+  async saveForLater(line) {
+    const row = this.refs.cartItemRows[line - 1];
+    const { url, title = '' } = row?.dataset ?? {};
+    const lineSnapshot = row && getLineSnapshot(row);
+
+    if (!lineSnapshot || !url) return;
+    if (this.refs.cartItemRows.some((cartItemRow) => cartItemRow.dataset.parentKey === row.dataset.key)) return;
+
+    // The line is only saved once it's out of the cart, so a failed removal doesn't leave it in both
+    if (!(await this.#removeLine(line, { offerUndo: false }))) return;
+
+    savedForLater.add({
+      variantId: lineSnapshot.id,
+      url,
+      title,
+      quantity: lineSnapshot.quantity,
+      properties: lineSnapshot.properties ?? {},
+      sellingPlan: lineSnapshot.selling_plan,
+    });
+  }
+
+  /**
+   * Opens the editor of the properties of a line.
+   * @param {number} line - The line item index.
+   */
+  editProperties(line) {
+    const editor = this.#getPropertyEditor(line);
+
+    if (!editor) return;
+
+    editor.container.hidden = false;
+    editor.toggle.setAttribute('aria-expanded', 'true');
+    const field = /** @type {HTMLElement | null} */ (editor.container.querySelector('.field__input'));
+    field?.focus();
+  }
+
+  /**
+   * Closes the editor of the properties of a line, discarding the changes.
+   * @param {number} line - The line item index.
+   */
+  cancelPropertyEdit(line) {
+    const editor = this.#getPropertyEditor(line);
+
+    if (!editor) return;
+
+    editor.form.reset();
+    for (const field of editor.form.elements) {
+      if (field instanceof HTMLInputElement || field instanceof HTMLTextAreaElement) hideFieldError(field);
+    }
+    editor.error.classList.add('hidden');
+    editor.container.hidden = true;
+    editor.toggle.setAttribute('aria-expanded', 'false');
+    editor.toggle.focus();
+  }
+
+  /**
+   * Replaces a line with one carrying the edited properties.
+   * @param {number} line - The line item index.
+   * @param {SubmitEvent} event - The submit event.
+   */
+  async saveProperties(line, event) {
+    event.preventDefault();
+
+    const editor = this.#getPropertyEditor(line);
+    const key = this.refs.cartItemRows[line - 1]?.dataset.key;
+
+    if (!editor || !key) return;
+
+    const { form, error } = editor;
+    const fields = Array.from(form.elements)
+      .filter((field) => field instanceof HTMLInputElement || field instanceof HTMLTextAreaElement)
+      .filter((field) => field.type !== 'hidden');
+
+    // A value of only spaces doesn't fill a required property
+    for (const field of fields) field.value = field.value.trim();
+
+    const invalidFields = fields.filter((field) => !validateField(field));
+
+    error.classList.add('hidden');
+
+    if (invalidFields.length) {
+      invalidFields[0]?.focus();
+      return;
+    }
+
+    /** @type {Record<string, string>} */
+    const properties = Object.fromEntries(
+      Array.from(new FormData(form), ([name, value]) => [name, typeof value === 'string' ? value.trim() : ''])
+    );
+
+    this.#disableCartItems();
+    this.refs.cartTotal?.shimmer();
+
+    try {
+      const { cart, sections } = await cartStore.replaceLineProperties(key, properties, {
+        sections: this.#sectionsToUpdate(),
+      });
+
+      this.dispatchEvent(
+        new CartUpdateEvent(cart, this.sectionId, {
+          itemCount: cart.item_count,
+          source: 'cart-items-component',
+          sections,
+        })
+      );
+
+      const sectionHtml = sections[this.sectionId];
+      if (sectionHtml) {
+        morphSection(this.sectionId, sectionHtml);
+      } else {
+        sectionRenderer.renderSection(this.sectionId, { cache: false });
+      }
+    } catch (caughtError) {
+      // The line will be replaced once back online
+      if (caughtError instanceof CartOfflineError) return;
+
+      if (caughtError instanceof CartError) {
+        error.textContent = caughtError.message;
+        error.classList.remove('hidden');
+        return;
+      }
+
+      console.error(caughtError);
+    } finally {
+      resetShimmer(this);
+      this.#enableCartItems();
+    }
+  }
+
+  /**
+   * Gets the elements of the property editor of a line.
+   * @param {number} line - The line item index.
+   * @returns {{ toggle: HTMLElement, container: HTMLElement, form: HTMLFormElement, error: HTMLElement } | null}
+   */
+  #getPropertyEditor(line) {
+    const toggle = this.refs.cartItemRows[line - 1]?.querySelector('[aria-controls^="CartItemProperties-"]');
+    const container = toggle && document.getElementById(toggle.getAttribute('aria-controls') ?? '');
+    const form = container && document.getElementById(`${container.id}-form`);
+    const error = container?.querySelector('[data-property-form-error]');
+
+    if (
+      !(toggle instanceof HTMLElement) ||
+      !(container instanceof HTMLElement) ||
+      !(form instanceof HTMLFormElement) ||
+      !(error instanceof HTMLElement)
+    ) {
+      return null;
+    }
+
+    return { toggle, container, form, error };
+  }
+
+  /**
+   * Removes a line and animates its row away.
+   * @param {number} line - The line item index.
+   * @param {Object} options
+   * @param {boolean} options.offerUndo - Whether the shopper can add the line back.
+   * @returns {Promise<boolean>} Whether the line was removed, or its removal queued
+   */
+  #removeLine(line, { offerUndo }) {
+    const removal = this.updateQuantity({
       line,
       quantity: 0,
       action: 'clear',
@@ -79,7 +314,7 @@ class CartItemsComponent extends Component {
 
     const cartItemRowToRemove = this.refs.cartItemRows[line - 1];
 
-    if (!cartItemRowToRemove) return;
+    if (!cartItemRowToRemove) return removal;
 
     const rowsToRemove = [
       cartItemRowToRemove,
@@ -87,6 +322,11 @@ class CartItemsComponent extends Component {
       ...this.refs.cartItemRows.filter((row) => row.dataset.parentKey === cartItemRowToRemove.dataset.key),
     ];
 
+    // Nested lines are managed by their parent line, so they can't be added back on their own
+    if (offerUndo && rowsToRemove.length === 1 && !cartItemRowToRemove.dataset.parentKey) {
+      this.#offerUndo(cartItemRowToRemove, line - 1);
+    }
+
     // Add class to the row to trigger the animation
     rowsToRemove.forEach((row) => {
       const remove = () => row.remove();
@@ -99,6 +339,65 @@ class CartItemsComponent extends Component {
       // Remove the row after the animation ends
       onAnimationEnd(row, remove);
     });
+
+    return removal;
+  }
+
+  /**
+   * Lets the shopper add a removed line back for a while.
+   * @param {HTMLElement} row - The row of the removed line.
+   * @param {number} index - The 0-based position of the removed line.
+   */
+  async #offerUndo(row, index) {
+    const { undoToast } = this.refs;
+    const { title = '' } = row.dataset;
+    const line = getLineSnapshot(row);
+
+    if (!undoToast || !line) return;
+
+    // The remove button goes away with the row, so keyboard users continue from the toast
+    const focus = row.contains(document.activeElement);
+    const message = Theme.translations.cart_item_removed ?? '';
+    const undone = await undoToast.show(message.replace('[title]', title), { focus });
+
+    if (!undone) return;
+
+    this.#disableCartItems();
+    this.refs.cartTotal?.shimmer();
+
+    try {
+      const { cart, sections } = await cartStore.restoreLine(line, index, { sections: this.#sectionsToUpdate() });
+
+      this.dispatchEvent(
+        new CartUpdateEvent(cart, this.sectionId, {
+          itemCount: cart.item_count,
+          source: 'cart-items-component',
+          sections,
+        })
+      );
+
+      const sectionHtml = sections[this.sectionId];
+      if (sectionHtml) {
+        morphSection(this.sectionId, sectionHtml);
+      } else {
+        sectionRenderer.renderSection(this.sectionId, { cache: false });
+      }
+
+      undoToast.announce((Theme.translations.cart_item_restored ?? '').replace('[title]', title));
+    } catch (error) {
+      // The line will be added back once back online
+      if (error instanceof CartOfflineError) return;
+
+      if (error instanceof CartError) {
+        undoToast.announce(error.message);
+        return;
+      }
+
+      console.error(error);
+    } finally {
+      resetShimmer(this);
+      this.#enableCartItems();
+    }
   }
 
   /**
@@ -107,6 +406,7 @@ class CartItemsComponent extends Component {
    * @param {number} config.line - The line.
    * @param {number} config.quantity - The quantity.
    * @param {string} config.action - The action.
+   * @returns {Promise<boolean>} Whether the quantity was updated, or its update queued
    */
   updateQuantity(config) {
     const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker(`${config.action}:user-action`);
@@ -116,58 +416,39 @@ class CartItemsComponent extends Component {
     const { line, quantity } = config;
     const { cartTotal } = this.refs;
 
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    const sectionsToUpdate = new Set([this.sectionId]);
-    cartItemsComponents.forEach((item) => {
-      if (item instanceof HTMLElement && item.dataset.sectionId) {
-        sectionsToUpdate.add(item.dataset.sectionId);
-      }
-    });
-
-    const body = JSON.stringify({
-      line: line,
-      quantity: quantity,
-      sections: Array.from(sectionsToUpdate).join(','),
-      sections_url: window.location.pathname,
-    });
-
     cartTotal?.shimmer();
 
-    fetch(`${Theme.routes.cart_change_url}`, fetchConfig('json', { body }))
-      .then((response) => {
-        return response.text();
-      })
-      .then((responseText) => {
-        const parsedResponseText = JSON.parse(responseText);
-
+    return cartStore
+      .change({ line, quantity }, { sections: this.#sectionsToUpdate() })
+      .then(({ cart, sections }) => {
         resetShimmer(this);
 
-        if (parsedResponseText.errors) {
-          this.#handleCartError(line, parsedResponseText);
-          return;
-        }
-
-        const newSectionHTML = new DOMParser().parseFromString(
-          parsedResponseText.sections[this.sectionId],
-          'text/html'
-        );
-
-        // Grab the new cart item count from a hidden element
-        const newCartHiddenItemCount = newSectionHTML.querySelector('[ref="cartItemCount"]')?.textContent;
-        const newCartItemCount = newCartHiddenItemCount ? parseInt(newCartHiddenItemCount, 10) : 0;
-
         this.dispatchEvent(
-          new CartUpdateEvent({}, this.sectionId, {
-            itemCount: newCartItemCount,
+          new CartUpdateEvent(cart, this.sectionId, {
+            itemCount: cart.item_count,
             source: 'cart-items-component',
-            sections: parsedResponseText.sections,
+            sections,
           })
         );
 
-        morphSection(this.sectionId, parsedResponseText.sections[this.sectionId]);
+        const sectionHtml = sections[this.sectionId];
+        if (sectionHtml) morphSection(this.sectionId, sectionHtml);
+
+        return true;
       })
       .catch((error) => {
+        resetShimmer(this);
+
+        // The change was queued and will be replayed once back online, so keep what the user entered
+        if (error instanceof CartOfflineError) return true;
+
+        if (error instanceof CartError) {
+          this.#handleCartError(line, error.message);
+          return false;
+        }
+
         console.error(error);
+        return false;
       })
       .finally(() => {
         this.#enableCartItems();
@@ -175,6 +456,183 @@ class CartItemsComponent extends Component {
       });
   }
 
+  /**
+   * Shows a quantity change on a line before the server confirms it.
+   * @param {number} line - The line.
+   * @param {number} quantity - The new quantity.
+   */
+  #applyOptimisticQuantity(line, quantity) {
+    const row = this.refs.cartItemRows[line - 1];
+    const linePrice = this.refs.linePrices?.[line - 1];
+    const quantityInput = this.refs.quantitySelectors[line - 1]?.querySelector('input');
+
+    if (!row || !linePrice || !quantityInput) return;
+
+    if (!this.#confirmedLines.has(line)) {
+      this.#confirmedLines.set(line, {
+        quantity: Number(quantityInput.defaultValue),
+        price: linePrice.textContent?.trim() ?? '',
+      });
+    }
+
+    const cartItemErrorContainer = this.refs[`cartItemErrorContainer-${line}`];
+    if (cartItemErrorContainer instanceof HTMLElement) cartItemErrorContainer.classList.add('hidden');
+
+    const unitPrice = Number(row.dataset.unitPrice);
+    if (!isNaN(unitPrice))
+      this.#renderLinePrice(linePrice, formatPrice(unitPrice * quantity, this.#moneyFormat(linePrice)));
+
+    cartStore.applyOptimisticUpdate((cart) => {
+      const items = cart.items.map((item, index) =>
+        index === line - 1 ? { ...item, quantity, final_line_price: item.final_price * quantity } : item
+      );
+
+      return { ...cart, items, item_count: items.reduce((count, item) => count + item.quantity, 0) };
+    });
+  }
+
+  /**
+   * Sends the pending quantity changes one line at a time.
+   *
+   * Changes made while a request is in flight are coalesced and sent once it settles.
+   */
+  async #syncQuantities() {
+    if (this.#isSyncing) return;
+    this.#isSyncing = true;
+
+    for (const [line, quantity] of this.#pendingQuantities) {
+      this.#pendingQuantities.delete(line);
+      await this.#sendQuantity(line, quantity);
+    }
+
+    this.#isSyncing = false;
+  }
+
+  /**
+   * Sends an optimistic quantity change and reconciles the line with the server response.
+   * @param {number} line - The line.
+   * @param {number} quantity - The quantity shown to the user.
+   */
+  async #sendQuantity(line, quantity) {
+    const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker('change:user-action');
+
+    this.refs.cartTotal?.shimmer();
+
+    try {
+      const { cart, sections } = await cartStore.change({ line, quantity }, { sections: this.#sectionsToUpdate() });
+      const item = cart.items[line - 1];
+      const confirmedQuantity = item?.quantity ?? 0;
+      const isPending = this.#pendingQuantities.has(line);
+
+      this.dispatchEvent(
+        new CartUpdateEvent(cart, this.sectionId, {
+          itemCount: cart.item_count,
+          source: 'cart-items-component',
+          sections,
+        })
+      );
+
+      if (this.#pendingQuantities.size === 0) {
+        // Nothing is left to send, so the server rendered section is the source of truth again
+        this.#confirmedLines.clear();
+
+        const sectionHtml = sections[this.sectionId];
+        if (sectionHtml) await morphSection(this.sectionId, sectionHtml);
+      } else {
+        const linePrice = this.refs.linePrices?.[line - 1];
+        const confirmedLine = {
+          quantity: confirmedQuantity,
+          price: item && linePrice ? formatPrice(item.final_line_price, this.#moneyFormat(linePrice)) : '',
+        };
+
+        // Keep the optimistic state of lines the user changed again, but settle the others
+        if (isPending) {
+          this.#confirmedLines.set(line, confirmedLine);
+        } else {
+          this.#confirmedLines.delete(line);
+          if (confirmedQuantity !== quantity) this.#restoreLine(line, confirmedLine);
+        }
+      }
+
+      if (confirmedQuantity !== quantity && !isPending) {
+        const message = Theme.translations.cart_quantity_adjusted ?? '';
+        this.#handleCartError(line, message.replace('[quantity]', String(confirmedQuantity)));
+      }
+    } catch (error) {
+      if (error instanceof CartOfflineError) {
+        this.#confirmedLines.delete(line);
+        return;
+      }
+
+      const confirmedLine = this.#confirmedLines.get(line);
+
+      this.#pendingQuantities.delete(line);
+      this.#confirmedLines.delete(line);
+      if (confirmedLine) this.#restoreLine(line, confirmedLine);
+
+      if (error instanceof CartError) {
+        this.#handleCartError(line, error.message);
+      } else {
+        console.error(error);
+      }
+    } finally {
+      if (this.#pendingQuantities.size === 0) resetShimmer(this);
+      cartPerformance.measureFromMarker(cartPerformaceUpdateMarker);
+    }
+  }
+
+  /**
+   * Restores the quantity and price of a line.
+   * @param {number} line - The line.
+   * @param {{ quantity: number, price: string }} state - The state to restore.
+   */
+  #restoreLine(line, { quantity, price }) {
+    const quantityInput = this.refs.quantitySelectors[line - 1]?.querySelector('input');
+    const linePrice = this.refs.linePrices?.[line - 1];
+
+    if (quantityInput) {
+      quantityInput.defaultValue = String(quantity);
+      quantityInput.value = String(quantity);
+    }
+
+    if (linePrice && price) this.#renderLinePrice(linePrice, price);
+  }
+
+  /**
+   * Renders a line price.
+   * @param {TextComponent} linePrice - The line price element.
+   * @param {string} price - The formatted price.
+   */
+  #renderLinePrice(linePrice, price) {
+    linePrice.textContent = price;
+    linePrice.setAttribute('value', price);
+  }
+
+  /**
+   * Gets the money format of a line price.
+   * @param {TextComponent} linePrice - The line price element.
+   * @returns {string} The money format.
+   */
+  #moneyFormat(linePrice) {
+    return linePrice.hasAttribute('data-currency-code') ? Theme.moneyWithCurrencyFormat : Theme.moneyFormat;
+  }
+
+  /**
+   * Gets the ids of every cart items section on the page.
+   * @returns {string[]} The section ids.
+   */
+  #sectionsToUpdate() {
+    const sectionsToUpdate = new Set([this.sectionId]);
+
+    document.querySelectorAll('cart-items-component').forEach((item) => {
+      if (item instanceof HTMLElement && item.dataset.sectionId) {
+        sectionsToUpdate.add(item.dataset.sectionId);
+      }
+    });
+
+    return Array.from(sectionsToUpdate);
+  }
+
   /**
    * Handles the discount update.
    * @param {DiscountUpdateEvent} event - The event.
@@ -186,10 +644,9 @@ class CartItemsComponent extends Component {
   /**
    * Handles the cart error.
    * @param {number} line - The line.
-   * @param {Object} parsedResponseText - The parsed response text.
-   * @param {string} parsedResponseText.errors - The errors.
+   * @param {string} message - The error message.
    */
-  #handleCartError = (line, parsedResponseText) => {
+  #handleCartError = (line, message) => {
     const quantitySelector = this.refs.quantitySelectors[line - 1];
     const quantityInput = quantitySelector?.querySelector('input');
 
@@ -203,7 +660,7 @@ class CartItemsComponent extends Component {
     if (!(cartItemError instanceof HTMLElement)) throw new Error('Cart item error not found');
     if (!(cartItemErrorContainer instanceof HTMLElement)) throw new Error('Cart item error container not found');
 
-    cartItemError.textContent = parsedResponseText.errors;
+    cartItemError.textContent = message;
     cartItemErrorContainer.classList.remove('hidden');
   };
 
@@ -214,7 +671,13 @@ class CartItemsComponent extends Component {
    */
   #handleCartUpdate = (event) => {
     if (event instanceof DiscountUpdateEvent) {
-      sectionRenderer.renderSection(this.sectionId, { cache: false });
+      const sectionHtml = event.detail.data.sections?.[this.sectionId];
+
+      if (sectionHtml) {
+        morphSection(this.sectionId, sectionHtml);
+      } else {
+        sectionRenderer.renderSection(this.sectionId, { cache: false });
+      }
       return;
     }
     if (event.target === this) return;
@@ -254,6 +717,25 @@ class CartItemsComponent extends Component {
   }
 }
 
+/**
+ * Gets what's needed to add the line of a row to the cart again.
+ * @param {HTMLElement} row - The cart item row.
+ * @returns {CartLineSnapshot | null}
+ */
+function getLineSnapshot(row) {
+  const { key, variantId, quantity, properties, sellingPlan } = row.dataset;
+
+  if (!key || !variantId) return null;
+
+  return {
+    key,
+    id: Number(variantId),
+    quantity: Number(quantity),
+    properties: properties ? JSON.parse(properties) : {},
+    selling_plan: sellingPlan ? Number(sellingPlan) : undefined,
+  };
+}
+
 if (!customElements.get('cart-items-component')) {
   customElements.define('cart-items-component', CartItemsComponent);
 }
@@ -1,15 +1,54 @@
 import { Component } from '@theme/component';
-import { QuantitySelectorUpdateEvent } from '@theme/events';
+import { QuantitySelectorUpdateEvent, ThemeEvents, VariantResolveEvent, VariantUpdateEvent } from '@theme/events';
+import { morph } from '@theme/morph';
+import { enforceQuantityRule, getPriceBreak, getQuantityRule } from '@theme/quantity-rules';
+
+/** @typedef {import('./quantity-rules').PriceBreak} PriceBreak */
 
 /**
  * A custom element that allows the user to select a quantity.
  *
+ * The quantity follows the rule of the variant: values are snapped to it and the buttons are disabled at its bounds.
+ *
  * @typedef {Object} Refs
  * @property {HTMLInputElement} quantityInput
+ * @property {HTMLButtonElement} [minusButton]
+ * @property {HTMLButtonElement} [plusButton]
  *
  * @extends {Component<Refs>}
  */
 class QuantitySelectorComponent extends Component {
+  #abortController = new AbortController();
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    // Cart lines are re-rendered with their variant, product forms follow the selected variant
+    if (!this.refs.quantityInput?.dataset.cartLine) {
+      const target = this.closest('.shopify-section, dialog');
+      target?.addEventListener(ThemeEvents.variantUpdate, this.#handleVariantUpdate, {
+        signal: this.#abortController.signal,
+      });
+      target?.addEventListener(ThemeEvents.variantResolve, this.#handleVariantResolve, {
+        signal: this.#abortController.signal,
+      });
+    }
+
+    this.#updateState();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#updateState();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+  }
+
   /**
    * Handles the quantity increase event.
    * @param {Event} event - The event.
@@ -18,8 +57,7 @@ class QuantitySelectorComponent extends Component {
     if (!(event.target instanceof HTMLElement)) return;
 
     event.preventDefault();
-    this.refs.quantityInput.stepUp();
-    this.#onQuantityChange();
+    this.#stepQuantity(1);
   }
 
   /**
@@ -30,8 +68,7 @@ class QuantitySelectorComponent extends Component {
     if (!(event.target instanceof HTMLElement)) return;
 
     event.preventDefault();
-    this.refs.quantityInput.stepDown();
-    this.#onQuantityChange();
+    this.#stepQuantity(-1);
   }
 
   /**
@@ -59,29 +96,125 @@ class QuantitySelectorComponent extends Component {
     this.#onQuantityChange();
   }
 
+  /**
+   * Snaps the quantity to the rule of the variant, before it's sent anywhere.
+   * @returns {number} The valid quantity
+   */
+  enforceRule() {
+    const quantity = enforceQuantityRule(this.refs.quantityInput);
+
+    this.#updateState();
+
+    return quantity;
+  }
+
+  /**
+   * Changes the quantity by one increment of the rule.
+   * @param {1 | -1} direction
+   */
+  #stepQuantity(direction) {
+    const { quantityInput } = this.refs;
+    const { min, increment } = getQuantityRule(this);
+    const quantity = (Number(quantityInput.value) || 0) + direction * increment;
+
+    // Stepping below the minimum of a cart line removes it
+    quantityInput.value = String(quantity < min && Number(quantityInput.min) === 0 ? 0 : quantity);
+    this.#onQuantityChange();
+  }
+
   /**
    * Handles the quantity change event.
    */
   #onQuantityChange() {
     const { quantityInput } = this.refs;
-
-    this.#checkQuantityRules();
-    const newValue = parseInt(quantityInput.value);
+    const newValue = this.enforceRule();
 
     quantityInput.dispatchEvent(new QuantitySelectorUpdateEvent(newValue, Number(quantityInput.dataset.cartLine)));
   }
 
   /**
-   * Checks the quantity rules are met
+   * Disables the buttons at the bounds of the rule and highlights the volume price that applies.
    */
-  #checkQuantityRules = () => {
+  #updateState() {
+    const { quantityInput, minusButton, plusButton } = this.refs;
+    const { max, increment } = getQuantityRule(this);
+    const quantity = Number(quantityInput.value);
+
+    // Buttons disabled by the cart, e.g. for bundle components, stay disabled
+    if (!quantityInput.disabled) {
+      if (minusButton) minusButton.disabled = quantity <= Number(quantityInput.min);
+      if (plusButton) plusButton.disabled = max !== null && quantity + increment > max;
+    }
+
+    const rules = this.#rulesElement;
+    if (!rules) return;
+
+    /** @type {PriceBreak[]} */
+    const priceBreaks = JSON.parse(this.dataset.priceBreaks || '[]');
+    const activeBreak = getPriceBreak(quantity, priceBreaks);
+
+    for (const element of rules.querySelectorAll('[data-minimum-quantity]')) {
+      element.classList.toggle(
+        'quantity-rules__break--active',
+        Number(element.getAttribute('data-minimum-quantity')) === activeBreak?.minimum_quantity
+      );
+    }
+  }
+
+  /**
+   * Asks for the rule of the variant picked, unless neither it nor the rule shown have one.
+   * @param {VariantResolveEvent} event
+   */
+  #handleVariantResolve = (event) => {
+    const rules = this.#rulesElement;
+
+    if (event.detail.resource?.has_quantity_rules || (rules && !rules.hidden)) event.requestRender();
+  };
+
+  /**
+   * Applies the quantity rule of the newly selected variant.
+   * @param {VariantUpdateEvent} event
+   */
+  #handleVariantUpdate = (event) => {
+    const newSelector = event.detail.data.html.getElementById(this.id);
+    const newInput = newSelector?.querySelector('input[type="number"]');
+
+    if (!(newSelector instanceof HTMLElement) || !(newInput instanceof HTMLInputElement)) return;
+
     const { quantityInput } = this.refs;
-    const { min, max, value: newValue } = quantityInput;
 
-    if (newValue < min && min) quantityInput.value = min;
-    if (newValue > max && max) quantityInput.value = max;
+    for (const key of ['quantityMin', 'quantityMax', 'quantityIncrement', 'priceBreaks']) {
+      this.dataset[key] = newSelector.dataset[key] ?? '';
+    }
+
+    for (const attribute of ['min', 'max', 'step']) {
+      const value = newInput.getAttribute(attribute);
+
+      if (value === null) quantityInput.removeAttribute(attribute);
+      else quantityInput.setAttribute(attribute, value);
+    }
+
+    const rules = this.#rulesElement;
+    const newRules = rules && event.detail.data.html.getElementById(rules.id);
+
+    if (rules && newRules instanceof HTMLElement) {
+      rules.hidden = newRules.hidden;
+      morph(rules, newRules);
+    }
+
+    this.enforceRule();
   };
 
+  /**
+   * The element describing the quantity rule.
+   * @returns {HTMLElement | null}
+   */
+  get #rulesElement() {
+    const id = this.refs.quantityInput.getAttribute('aria-describedby');
+
+    return id ? document.getElementById(id) : null;
+  }
+
   /**
    * Gets the quantity input.
    * @returns {HTMLInputElement} The quantity input.
@@ -1,5 +1,6 @@
 import { DeclarativeShadowElement } from '@theme/critical';
-import { requestIdleCallback } from '@theme/utilities';
+import { requestIdleCallback, scheduler } from '@theme/utilities';
+import { ThemeEvents } from '@theme/events';
 
 /**
  * @typedef {Record<string, Element | Element[] | undefined>} Refs
@@ -14,7 +15,21 @@ import { requestIdleCallback } from '@theme/utilities';
  * Base class that powers our custom web components.
  *
  * Manages references to child elements with `ref` attributes and sets up mutation observers to keep
- * the refs updated when the DOM changes. Also handles declarative event listeners using.
+ * the refs updated when the DOM changes. Also handles declarative event listeners using `on:<event>` attributes,
+ * with modifiers like `on:keydown.enter.prevent`, and subscribes to the theme events they declare, like
+ * `on:cart:update`, until the component disconnects. Handlers take arguments, like `/select(2, $event, $ref.dialog)`.
+ *
+ * Components can be error boundaries by defining `onError(error, context)`. Errors thrown by event handlers, while
+ * updating refs or rendering bindings go to the component's own `onError`, or the one of its closest ancestor
+ * defining it, which can render a fallback state. A boundary rethrowing the error passes it on to the next one.
+ * All errors are also sent to the reporter, see `setErrorReporter`.
+ *
+ * Components can declare a `state` object. Child elements bind to its properties with attributes, and are
+ * updated on the next frame whenever a property changes:
+ * - `bind:text="count"` sets the text of the element
+ * - `bind:hidden="!open"` toggles the `hidden` attribute
+ * - `bind:class="is-open:open is-empty:!count"` toggles each class
+ * - `bind:attr="aria-expanded:open data-count:count"` sets each attribute, removing it for `false`, `null` and `undefined`
  *
  * @template {Refs} [T=Refs]
  * @extends {DeclarativeShadowElement}
@@ -34,6 +49,15 @@ export class Component extends DeclarativeShadowElement {
    */
   requiredRefs;
 
+  /**
+   * The state of the component, declared by subclasses as a plain object.
+   * It's made reactive when the component is connected, so changing its properties renders the bound elements again.
+   * Only the properties themselves are reactive, not the objects they hold.
+   *
+   * @type {Record<string, unknown> | undefined}
+   */
+  state;
+
   /**
    * Gets the root node of the component, which is either its shadow root or the component itself.
    *
@@ -52,16 +76,28 @@ export class Component extends DeclarativeShadowElement {
     super.connectedCallback();
     registerEventListeners();
 
+    if (this.beforeMorph !== Component.prototype.beforeMorph || this.afterMorph !== Component.prototype.afterMorph) {
+      morphHookComponents.add(this);
+    }
+
     this.#updateRefs();
 
+    if (this.state) {
+      if (!reactiveStates.has(this.state)) this.state = createReactiveState(this.state, this.#scheduleRender);
+      this.#scheduleRender();
+    }
+
     requestIdleCallback(() => {
+      this.#listenToDeclaredEvents();
+
       for (const root of this.roots) {
         this.#mutationObserver.observe(root, {
           childList: true,
           subtree: true,
           attributes: true,
-          attributeFilter: ['ref'],
           attributeOldValue: true,
+          // Components with a state also follow the changes made to their bound elements
+          ...(this.state ? { characterData: true } : { attributeFilter: ['ref'] }),
         });
       }
     });
@@ -72,9 +108,23 @@ export class Component extends DeclarativeShadowElement {
    */
   updatedCallback() {
     this.#mutationObserver.takeRecords();
-    this.#updateRefs();
+    this.#updateRefsSafely();
+    this.#listenToDeclaredEvents();
+    if (this.state) this.#scheduleRender();
   }
 
+  /**
+   * Called before `morph` updates the component or its children.
+   *
+   * @param {Node} _newNode - The node the component is morphed into.
+   */
+  beforeMorph(_newNode) {}
+
+  /**
+   * Called once `morph` updated the component or its children.
+   */
+  afterMorph() {}
+
   /**
    * Called when the element is disconnected from the document's DOM.
    *
@@ -82,6 +132,8 @@ export class Component extends DeclarativeShadowElement {
    */
   disconnectedCallback() {
     this.#mutationObserver.disconnect();
+    this.#eventsController.abort();
+    morphHookComponents.delete(this);
   }
 
   /**
@@ -90,6 +142,27 @@ export class Component extends DeclarativeShadowElement {
    * This method is called to keep the `refs` object in sync with the DOM.
    */
   #updateRefs() {
+    const error = this.#collectRefs();
+
+    if (error) throw error;
+  }
+
+  /**
+   * Updates the `refs` object, sending a missing required ref to the error boundary instead of throwing, so the
+   * component keeps the refs found after its DOM changed.
+   */
+  #updateRefsSafely() {
+    const error = this.#collectRefs();
+
+    if (error) handleComponentError(this, error, { phase: 'refs', component: this });
+  }
+
+  /**
+   * Queries the descendant elements with `ref` attributes and stores references to them.
+   *
+   * @returns {MissingRefError | undefined} The error for the first required ref not found.
+   */
+  #collectRefs() {
     const refs = /** @type any */ ({});
     const elements = this.roots.reduce((acc, root) => {
       for (const element of root.querySelectorAll('[ref]')) {
@@ -115,16 +188,65 @@ export class Component extends DeclarativeShadowElement {
       }
     }
 
-    if (this.requiredRefs?.length) {
-      for (const ref of this.requiredRefs) {
-        if (!(ref in refs)) {
-          throw new MissingRefError(ref, this);
+    this.refs = /** @type {RefsType<T>} */ (refs);
+
+    const missingRef = this.requiredRefs?.find((ref) => !(ref in refs));
+
+    return missingRef ? new MissingRefError(missingRef, this) : undefined;
+  }
+
+  /**
+   * Aborts the listeners of the events declared by the elements of the component, see `listenToDeclaredEvents`.
+   */
+  #eventsController = new AbortController();
+
+  /**
+   * Sets up the events declared by the component and the elements it owns.
+   */
+  #listenToDeclaredEvents() {
+    this.#eventsController.abort();
+    this.#eventsController = new AbortController();
+
+    if (!this.isConnected) return;
+
+    // Nested components set up the events they declare themselves, so they're only counted once
+    const elements = this.roots.flatMap((root) =>
+      Array.from(root.querySelectorAll('*')).filter(
+        (element) => declaresEvents(element) && this.#isDescendant(element) && !isComponentHost(element)
+      )
+    );
+
+    listenToDeclaredEvents([this, ...elements], this.#eventsController.signal);
+  }
+
+  /**
+   * Renders the bound elements on the next frame. Changes made in the same frame are rendered once.
+   */
+  #scheduleRender = () => {
+    scheduler.schedule(this.#render);
+  };
+
+  /**
+   * Updates the elements bound to the state.
+   *
+   * The elements are queried on every render, so the ones added by `morph` are bound as well.
+   */
+  #render = () => {
+    const { state } = this;
+    if (!state || !this.isConnected) return;
+
+    try {
+      for (const root of this.roots) {
+        for (const element of root.querySelectorAll(BINDING_SELECTOR)) {
+          if (!this.#isDescendant(element)) continue;
+
+          renderBindings(element, state);
         }
       }
+    } catch (error) {
+      handleComponentError(this, error, { phase: 'render', component: this });
     }
-
-    this.refs = /** @type {RefsType<T>} */ (refs);
-  }
+  };
 
   /**
    * MutationObserver instance to observe changes in the component's DOM subtree and update refs accordingly.
@@ -135,11 +257,18 @@ export class Component extends DeclarativeShadowElement {
     if (
       mutations.some(
         (m) =>
-          (m.type === 'attributes' && this.#isDescendant(m.target)) ||
+          (m.type === 'attributes' && m.attributeName === 'ref' && this.#isDescendant(m.target)) ||
           (m.type === 'childList' && [...m.addedNodes, ...m.removedNodes].some(this.#isDescendant))
       )
     ) {
-      this.#updateRefs();
+      this.#updateRefsSafely();
+      requestIdleCallback(() => this.#listenToDeclaredEvents());
+    }
+
+    // Bound elements changed by `morph`, for instance, are rendered from the state again.
+    // Rendering only writes the values that differ, so the mutations it makes don't cause another change.
+    if (this.state && mutations.some((m) => m.type !== 'attributes' || m.attributeName !== 'ref')) {
+      this.#scheduleRender();
     }
   });
 
@@ -152,6 +281,121 @@ export class Component extends DeclarativeShadowElement {
   #isDescendant = (node) => getClosestComponent(getAncestor(node)) === this;
 }
 
+/**
+ * The states made reactive, so a state is only made reactive once.
+ *
+ * @type {WeakSet<object>}
+ */
+const reactiveStates = new WeakSet();
+
+const BINDING_SELECTOR = '[bind\\:text], [bind\\:hidden], [bind\\:class], [bind\\:attr]';
+
+/**
+ * Wraps a state so changing its properties calls a function.
+ *
+ * @template {Record<string, unknown>} S
+ * @param {S} state - The state.
+ * @param {() => void} onChange - Called when a property changes.
+ * @returns {S} The reactive state.
+ */
+function createReactiveState(state, onChange) {
+  const reactiveState = new Proxy(state, {
+    set(target, property, value) {
+      if (Object.is(Reflect.get(target, property), value)) return true;
+
+      Reflect.set(target, property, value);
+      onChange();
+
+      return true;
+    },
+    deleteProperty(target, property) {
+      Reflect.deleteProperty(target, property);
+      onChange();
+
+      return true;
+    },
+  });
+
+  reactiveStates.add(reactiveState);
+
+  return reactiveState;
+}
+
+/**
+ * Updates an element from the state properties it's bound to.
+ *
+ * @param {Element} element - The bound element.
+ * @param {Record<string, unknown>} state - The state of its component.
+ */
+function renderBindings(element, state) {
+  const text = element.getAttribute('bind:text');
+
+  if (text !== null) {
+    const value = String(readBinding(state, text) ?? '');
+
+    if (element.textContent !== value) element.textContent = value;
+  }
+
+  const hidden = element.getAttribute('bind:hidden');
+
+  if (hidden !== null) {
+    const value = Boolean(readBinding(state, hidden));
+
+    if (element.hasAttribute('hidden') !== value) element.toggleAttribute('hidden', value);
+  }
+
+  for (const [className, expression] of parseBindingPairs(element.getAttribute('bind:class'))) {
+    element.classList.toggle(className, Boolean(readBinding(state, expression)));
+  }
+
+  for (const [name, expression] of parseBindingPairs(element.getAttribute('bind:attr'))) {
+    const value = readBinding(state, expression);
+
+    // ARIA states are written out, as their absence doesn't mean `false`
+    if (value == null || (value === false && !name.startsWith('aria-'))) {
+      element.removeAttribute(name);
+    } else {
+      const attributeValue = value === true && !name.startsWith('aria-') ? '' : String(value);
+
+      if (element.getAttribute(name) !== attributeValue) element.setAttribute(name, attributeValue);
+    }
+  }
+}
+
+/**
+ * Reads the state property of a binding, negated when it starts with `!`.
+ *
+ * @param {Record<string, unknown>} state - The state.
+ * @param {string} expression - The property, like `open` or `!open`.
+ * @returns {unknown} The value.
+ */
+function readBinding(state, expression) {
+  const negated = expression.startsWith('!');
+  const value = state[negated ? expression.slice(1) : expression];
+
+  return negated ? !value : value;
+}
+
+/**
+ * Parses the `name:property` pairs of a binding. The property is read after the last colon, so names can contain one.
+ *
+ * @param {string | null} value - The attribute value, like `is-open:open mobile:hidden:!open`.
+ * @returns {[string, string][]} The names and their property.
+ */
+function parseBindingPairs(value) {
+  if (!value) return [];
+
+  return value
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((pair) => {
+      const index = pair.lastIndexOf(':');
+
+      return /** @type {[string, string]} */ ([pair.slice(0, index), pair.slice(index + 1)]);
+    })
+    .filter(([name, expression]) => name && expression);
+}
+
 /**
  * Get the ancestor of a given node.
  *
@@ -170,6 +414,9 @@ function getAncestor(node) {
 /**
  * Recursively finds the closest ancestor that is an instance of `Component`.
  *
+ * Custom elements the islands loader hasn't loaded yet count as components, so their refs aren't taken by the
+ * component around them.
+ *
  * @param {Node | null} node - The starting node to search from.
  * @returns {HTMLElement | null} The closest ancestor `Component` instance or null if none is found.
  */
@@ -177,6 +424,7 @@ function getClosestComponent(node) {
   if (!node) return null;
   if (node instanceof Component) return node;
   if (node instanceof HTMLElement && node.tagName.toLowerCase().endsWith('-component')) return node;
+  if (node instanceof HTMLElement && isPendingIsland(node)) return node;
 
   const ancestor = getAncestor(node);
   if (ancestor) return getClosestComponent(ancestor);
@@ -185,98 +433,480 @@ function getClosestComponent(node) {
 }
 
 /**
- * Initializes the event listeners for custom event handling.
+ * Checks whether an element is the host of a component, including the ones still waiting for their module.
  *
- * Sets up event listeners for specified events and delegates the handling of those events
- * to methods defined on the closest `Component` instance, based on custom attributes.
+ * @param {Element} element - The element.
+ * @returns {boolean}
  */
-let initialized = false;
+function isComponentHost(element) {
+  return element instanceof Component || (element instanceof HTMLElement && isPendingIsland(element));
+}
 
+/**
+ * Checks whether an element is a custom element waiting for the islands loader to import its module.
+ *
+ * @param {HTMLElement} element - The element.
+ * @returns {boolean}
+ */
+function isPendingIsland(element) {
+  return (
+    element.localName.includes('-') &&
+    !customElements.get(element.localName) &&
+    element.getAttributeNames().some((name) => name.startsWith('load:'))
+  );
+}
+
+/**
+ * The delegated events, like `click`, and `touchstart.passive` for the passive listener of an event.
+ *
+ * @type {Set<string>}
+ */
+const delegatedEvents = new Set();
+
+const DEFAULT_EVENTS = ['click', 'change', 'select', 'focus', 'blur', 'submit', 'input', 'keydown', 'keyup', 'toggle'];
+const SHOULD_BUBBLE = ['focus', 'blur'];
+const EXPENSIVE_EVENTS = ['pointerenter', 'pointerleave'];
+
+/**
+ * The names of the keys that can be used as modifiers, like `on:keydown.enter`.
+ * Other modifiers of keyboard events are compared to the key pressed, like `on:keydown.a`.
+ */
+const KEY_MODIFIERS = {
+  enter: 'Enter',
+  escape: 'Escape',
+  esc: 'Escape',
+  space: ' ',
+  tab: 'Tab',
+  up: 'ArrowUp',
+  down: 'ArrowDown',
+  left: 'ArrowLeft',
+  right: 'ArrowRight',
+  delete: 'Delete',
+  backspace: 'Backspace',
+};
+
+const EVENT_MODIFIERS = ['prevent', 'stop', 'once', 'passive', 'outside'];
+
+const THEME_EVENTS = /** @type {string[]} */ (Object.values(ThemeEvents));
+
+/**
+ * The elements listening to events outside of them, with the `outside` modifier.
+ *
+ * @type {Set<Element>}
+ */
+const outsideElements = new Set();
+
+/**
+ * The handlers already called, for the `once` modifier.
+ *
+ * @type {WeakMap<Element, Set<string>>}
+ */
+const calledHandlers = new WeakMap();
+
+/**
+ * The pending calls of debounced handlers, for the `debounce-<ms>` modifier.
+ *
+ * @type {WeakMap<Element, Map<string, number>>}
+ */
+const debouncedHandlers = new WeakMap();
+
+/**
+ * Initializes the event listeners for the default events.
+ *
+ * Other events are delegated once an element of a component declares them, or with `registerEvent`.
+ */
 function registerEventListeners() {
-  if (initialized) return;
-  initialized = true;
+  for (const eventName of [...DEFAULT_EVENTS, ...EXPENSIVE_EVENTS]) {
+    registerEvent(eventName);
+  }
+}
 
-  const events = ['click', 'change', 'select', 'focus', 'blur', 'submit', 'input', 'keydown', 'keyup', 'toggle'];
-  const shouldBubble = ['focus', 'blur'];
-  const expensiveEvents = ['pointerenter', 'pointerleave'];
+/**
+ * Delegates a DOM event, so the `on:<event>` attributes of the elements handle it.
+ *
+ * The events are listened to on the document, and the handler of the closest element declaring the event is called
+ * on the closest `Component` instance, or the one of its selector.
+ *
+ * @param {string} eventName - The event, like `pointerdown` or `scroll`.
+ * @param {{ passive?: boolean }} [options] - Whether the event is listened to passively, for the `passive` modifier.
+ */
+export function registerEvent(eventName, { passive = false } = {}) {
+  const key = `${eventName}${passive ? '.passive' : ''}`;
 
-  for (const eventName of [...events, ...expensiveEvents]) {
-    const attribute = `on:${eventName}`;
+  if (delegatedEvents.has(key)) return;
+  delegatedEvents.add(key);
 
-    document.addEventListener(
-      eventName,
-      (event) => {
-        const element = getElement(event);
+  document.addEventListener(
+    eventName,
+    (event) => {
+      const match = getElement(event, passive);
 
-        if (!element) return;
+      if (match) {
+        for (const attribute of match.attributes) {
+          handleEvent(match.element, attribute, event);
+        }
+      }
 
-        const proxiedEvent =
-          event.target !== element
-            ? new Proxy(event, {
-                get(target, property) {
-                  if (property === 'target') return element;
+      if (!passive) handleOutsideEvent(event);
+    },
+    { capture: true, passive }
+  );
+}
 
-                  const value = Reflect.get(target, property);
+/**
+ * Finds the element handling an event, the target or its closest ancestor declaring the event.
+ *
+ * @param {Event} event
+ * @param {boolean} passive - Whether the handlers are the passive ones.
+ * @returns {{ element: Element, attributes: string[] } | undefined} The element and its attributes handling the event.
+ */
+function getElement(event, passive) {
+  const target = event.composedPath?.()[0] ?? event.target;
+  const bubbles = !EXPENSIVE_EVENTS.includes(event.type) && (event.bubbles || SHOULD_BUBBLE.includes(event.type));
 
-                  if (typeof value === 'function') {
-                    return value.bind(target);
-                  }
+  for (let element = target instanceof Element ? target : null; element; element = element.parentElement) {
+    const attributes = getEventAttributes(element, event.type).filter((attribute) => {
+      const { modifiers } = parseEventAttribute(attribute);
 
-                  return value;
-                },
-              })
-            : event;
+      return !modifiers.includes('outside') && modifiers.includes('passive') === passive;
+    });
 
-        const value = element.getAttribute(attribute) ?? '';
-        let [selector, method] = value.split('/');
-        // Extract the last segment of the attribute value delimited by `?` or `/`
-        // Do not use lookback for Safari 16.0 compatibility
-        const matches = value.match(/([\/\?][^\/\?]+)([\/\?][^\/\?]+)$/);
-        const data = matches ? matches[2] : null;
-        const instance = selector
-          ? selector.startsWith('#')
-            ? document.querySelector(selector)
-            : element.closest(selector)
-          : getClosestComponent(element);
+    if (attributes.length) return { element, attributes };
+    if (!bubbles) return;
+  }
+}
 
-        if (!(instance instanceof Component) || !method) return;
+/**
+ * Calls the handlers of the elements an event happened outside of.
+ *
+ * @param {Event} event
+ */
+function handleOutsideEvent(event) {
+  if (!outsideElements.size) return;
 
-        method = method.replace(/\?.*/, '');
+  const path = event.composedPath();
 
-        const callback = /** @type {any} */ (instance)[method];
+  for (const element of outsideElements) {
+    if (!element.isConnected || path.includes(element)) continue;
 
-        if (typeof callback === 'function') {
-          try {
-            /** @type {(Event | Data)[]} */
-            const args = [proxiedEvent];
+    for (const attribute of getEventAttributes(element, event.type)) {
+      if (parseEventAttribute(attribute).modifiers.includes('outside')) handleEvent(element, attribute, event);
+    }
+  }
+}
 
-            if (data) args.unshift(parseData(data));
+/**
+ * Gets the `on:<event>` attributes of an element, with or without modifiers.
+ *
+ * @param {Element} element
+ * @param {string} eventName
+ * @returns {string[]} The attribute names.
+ */
+function getEventAttributes(element, eventName) {
+  // Attribute names are lowercase, unlike some event names
+  const name = `on:${eventName.toLowerCase()}`;
 
-            callback.call(instance, ...args);
-          } catch (error) {
-            console.error(error);
-          }
-        }
-      },
-      { capture: true }
+  return element.getAttributeNames().filter((attribute) => attribute === name || attribute.startsWith(`${name}.`));
+}
+
+/**
+ * Parses an `on:<event>.<modifier>` attribute name.
+ *
+ * @param {string} attribute - The attribute name, like `on:keydown.enter.prevent`.
+ * @returns {{ eventName: string, modifiers: string[] }}
+ */
+function parseEventAttribute(attribute) {
+  const [eventName = '', ...modifiers] = attribute.slice('on:'.length).split('.');
+
+  return { eventName, modifiers };
+}
+
+/**
+ * Applies the modifiers of an attribute and calls its handler.
+ *
+ * @param {Element} element - The element declaring the handler.
+ * @param {string} attribute - The `on:<event>` attribute.
+ * @param {Event} event - The event.
+ */
+function handleEvent(element, attribute, event) {
+  const { modifiers } = parseEventAttribute(attribute);
+
+  if (event instanceof KeyboardEvent) {
+    const keys = modifiers.filter(
+      (modifier) => !EVENT_MODIFIERS.includes(modifier) && !modifier.startsWith('debounce')
     );
+
+    const isKeyPressed = (/** @type {string} */ key) =>
+      key in KEY_MODIFIERS
+        ? KEY_MODIFIERS[/** @type {keyof KEY_MODIFIERS} */ (key)] === event.key
+        : key === event.key.toLowerCase();
+
+    if (keys.length && !keys.some(isKeyPressed)) return;
   }
 
-  /** @param {Event} event */
-  function getElement(event) {
-    const target = event.composedPath?.()[0] ?? event.target;
+  if (modifiers.includes('once')) {
+    const called = calledHandlers.get(element) ?? new Set();
 
-    if (!(target instanceof Element)) return;
+    if (called.has(attribute)) return;
 
-    if (target.hasAttribute(`on:${event.type}`)) {
-      return target;
-    }
+    called.add(attribute);
+    calledHandlers.set(element, called);
+  }
+
+  if (modifiers.includes('prevent')) event.preventDefault();
+
+  // The listeners are on the document, so the event is stopped once it bubbled up to the element
+  if (modifiers.includes('stop')) {
+    /** @param {Event} bubblingEvent */
+    const stop = (bubblingEvent) => bubblingEvent.stopPropagation();
+
+    element.addEventListener(event.type, stop, { once: true });
+    setTimeout(() => element.removeEventListener(event.type, stop));
+  }
+
+  const debounce = modifiers.find((modifier) => modifier.startsWith('debounce'));
+
+  if (debounce) {
+    const wait = Number(debounce.split('-')[1] ?? 250);
+    const timeouts = debouncedHandlers.get(element) ?? new Map();
+
+    clearTimeout(timeouts.get(attribute));
+    timeouts.set(
+      attribute,
+      setTimeout(() => callHandler(element, attribute, event), wait)
+    );
+    debouncedHandlers.set(element, timeouts);
+
+    return;
+  }
+
+  callHandler(element, attribute, event);
+}
+
+/**
+ * Calls the handler declared by an attribute with the event.
+ *
+ * Handlers are declared as `selector/method`, followed by either:
+ * - a `/value` or `?key=value` segment, passed before the event, like `/select/2`
+ * - a list of arguments, like `/select(2, 'small', { "open": true }, $event)`. Arguments are JSON values, quoted
+ *   strings or bare words, and the `$event`, `$el` and `$ref.name` placeholders. The event is passed last unless
+ *   `$event` places it.
+ *
+ * @param {Element} element - The element declaring the handler.
+ * @param {string} attribute - The `on:<event>` attribute.
+ * @param {Event} event - The event.
+ */
+function callHandler(element, attribute, event) {
+  const proxiedEvent =
+    event.target !== element
+      ? new Proxy(event, {
+          get(target, property) {
+            if (property === 'target') return element;
+
+            const value = Reflect.get(target, property);
+
+            if (typeof value === 'function') {
+              return value.bind(target);
+            }
+
+            return value;
+          },
+        })
+      : event;
+
+  const value = element.getAttribute(attribute) ?? '';
+  const separator = value.indexOf('/');
+  const selector = value.slice(0, Math.max(separator, 0));
+  const call = value.slice(separator + 1).match(/^([\w$]+)\(([\s\S]*)\)$/);
+  let [, method] = value.split('/');
+  const instance = selector
+    ? selector.startsWith('#')
+      ? document.querySelector(selector)
+      : element.closest(selector)
+    : getClosestComponent(element);
+
+  if (call) method = call[1];
+
+  if (!(instance instanceof Component)) {
+    warnInvalidHandler(
+      element,
+      attribute,
+      selector ? `"${selector}" doesn't match a component` : `the element isn't inside a component`
+    );
+    return;
+  }
+
+  method = method?.replace(/\?.*/, '');
+
+  const callback = method ? /** @type {any} */ (instance)[method] : undefined;
+
+  if (typeof callback !== 'function') {
+    warnInvalidHandler(element, attribute, `"${method}" isn't a method of ${instance.tagName.toLowerCase()}`);
+    return;
+  }
+
+  /** @type {unknown[]} */
+  let args = [proxiedEvent];
+
+  if (call) {
+    const tokens = splitArguments(call[2] ?? '');
+
+    args = tokens.map((token) => parseArgument(token, { element, attribute, event: proxiedEvent, instance }));
+
+    if (!tokens.includes('$event')) args.push(proxiedEvent);
+  } else {
+    // Extract the last segment of the attribute value delimited by `?` or `/`
+    // Do not use lookback for Safari 16.0 compatibility
+    const matches = value.match(/([\/\?][^\/\?]+)([\/\?][^\/\?]+)$/);
+    const data = matches ? matches[2] : null;
+
+    if (data) args.unshift(parseData(data));
+  }
+
+  /** @type {ErrorContext} */
+  const context = { phase: 'event', component: instance, element, attribute, event };
+
+  try {
+    const result = callback.call(instance, ...args);
+
+    // Errors of async handlers are caught as well
+    if (result instanceof Promise) result.catch((error) => handleComponentError(instance, error, context));
+  } catch (error) {
+    handleComponentError(instance, error, context);
+  }
+}
+
+/**
+ * Splits the arguments of a handler on the commas that aren't in a string, an object or an array.
+ *
+ * @param {string} str - The arguments, like `2, 'small', { "open": true }`.
+ * @returns {string[]} The arguments.
+ */
+function splitArguments(str) {
+  /** @type {string[]} */
+  const args = [];
+  let depth = 0;
+  let quote = '';
+  let start = 0;
 
-    if (expensiveEvents.includes(event.type)) {
-      return null;
+  for (let index = 0; index < str.length; index++) {
+    const char = str[index];
+
+    if (quote) {
+      if (char === '\\') index++;
+      else if (char === quote) quote = '';
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '{' || char === '[') {
+      depth++;
+    } else if (char === '}' || char === ']') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      args.push(str.slice(start, index).trim());
+      start = index + 1;
     }
+  }
+
+  const last = str.slice(start).trim();
+  if (last || args.length) args.push(last);
+
+  return args;
+}
+
+/**
+ * Parses an argument of a handler.
+ *
+ * @param {string} token - The argument, like `2`, `'small'`, `{ "open": true }` or `$ref.dialog`.
+ * @param {{ element: Element, attribute: string, event: Event, instance: Component }} context - The handler.
+ * @returns {unknown} The value.
+ */
+function parseArgument(token, { element, attribute, event, instance }) {
+  if (token === '$event') return event;
+  if (token === '$el') return element;
+
+  if (token.startsWith('$ref.')) {
+    const name = token.slice('$ref.'.length);
+    const ref = instance.refs[name];
 
-    return event.bubbles || shouldBubble.includes(event.type) ? target.closest(`[on\\:${event.type}]`) : null;
+    if (!ref) warnInvalidHandler(element, attribute, `"${name}" isn't a ref of ${instance.tagName.toLowerCase()}`);
+
+    return ref;
+  }
+
+  if (token.length > 1 && token.startsWith("'") && token.endsWith("'")) {
+    return token.slice(1, -1).replace(/\\(.)/g, '$1');
+  }
+
+  try {
+    return JSON.parse(token);
+  } catch (_) {
+    if (/^[{\["]/.test(token)) warnInvalidHandler(element, attribute, `${token} isn't valid JSON`);
+
+    return parseValue(token);
+  }
+}
+
+/**
+ * Warns about a handler that can't be called, while developing the theme.
+ *
+ * @param {Element} element - The element declaring the handler.
+ * @param {string} attribute - The `on:<event>` attribute.
+ * @param {string} reason - Why the handler can't be called.
+ */
+function warnInvalidHandler(element, attribute, reason) {
+  const isDevelopment = window.Shopify?.designMode || ['localhost', '127.0.0.1'].includes(window.location.hostname);
+
+  if (!isDevelopment) return;
+
+  console.warn(`Invalid handler ${attribute}="${element.getAttribute(attribute)}": ${reason}.`, element);
+}
+
+/**
+ * Whether an element declares events that need setting up, unlike the default events which are always delegated.
+ *
+ * @param {Element} element
+ * @returns {boolean}
+ */
+function declaresEvents(element) {
+  return element.getAttributeNames().some((attribute) => {
+    if (!attribute.startsWith('on:')) return false;
+
+    const { eventName, modifiers } = parseEventAttribute(attribute);
+
+    const isDelegated = DEFAULT_EVENTS.includes(eventName) || EXPENSIVE_EVENTS.includes(eventName);
+
+    return !isDelegated || modifiers.includes('outside') || modifiers.includes('passive');
+  });
+}
+
+/**
+ * Sets up the events declared by the elements of a component: the DOM events they need delegated, the elements
+ * listening outside of them, and the theme events they subscribe to.
+ *
+ * @param {Element[]} elements - The component and the elements it owns.
+ * @param {AbortSignal} signal - Aborted when the component disconnects or its elements change.
+ */
+function listenToDeclaredEvents(elements, signal) {
+  for (const element of elements) {
+    for (const attribute of element.getAttributeNames()) {
+      if (!attribute.startsWith('on:')) continue;
+
+      const { eventName, modifiers } = parseEventAttribute(attribute);
+      const themeEvent = THEME_EVENTS.find((name) => name.toLowerCase() === eventName);
+
+      // Theme events are dispatched on other elements, so they're subscribed to on the document
+      if (themeEvent) {
+        document.addEventListener(themeEvent, (event) => handleEvent(element, attribute, event), { signal });
+        continue;
+      }
+
+      registerEvent(eventName, { passive: modifiers.includes('passive') });
+
+      if (modifiers.includes('outside')) {
+        outsideElements.add(element);
+        signal.addEventListener('abort', () => outsideElements.delete(element));
+      }
+    }
   }
 }
 
@@ -317,6 +947,75 @@ function parseValue(str) {
   return str;
 }
 
+/**
+ * @typedef {object} ErrorContext
+ * @property {'event' | 'refs' | 'render' | 'morph'} phase - What the component was doing when the error was thrown.
+ * @property {Component} component - The component the error was thrown in.
+ * @property {Element} [element] - The element declaring the event handler that threw.
+ * @property {string} [attribute] - The `on:<event>` attribute of the event handler that threw.
+ * @property {Event} [event] - The event handled.
+ */
+
+/**
+ * @typedef {(error: unknown, context: ErrorContext) => void} ErrorReporter
+ */
+
+/**
+ * The connected components overriding `beforeMorph` or `afterMorph`, so `morph` doesn't search every tree for them.
+ * @type {Set<Component>}
+ */
+const morphHookComponents = new Set();
+
+/**
+ * Gets the connected components overriding `beforeMorph` or `afterMorph`.
+ * @returns {ReadonlySet<Component>}
+ */
+export function getMorphHookComponents() {
+  return morphHookComponents;
+}
+
+/** @type {ErrorReporter} */
+let errorReporter = (error) => console.error(error);
+
+/**
+ * Sets the reporter of the errors thrown in components, to send them to a monitoring service for instance.
+ * The default reporter logs them to the console.
+ *
+ * @param {ErrorReporter} reporter - Called with every error, whether an error boundary handles it or not.
+ */
+export function setErrorReporter(reporter) {
+  errorReporter = reporter;
+}
+
+/**
+ * Reports an error thrown in a component and passes it to its closest error boundary: the component itself or its
+ * closest ancestor defining `onError`.
+ *
+ * @param {Node} node - The component, or an element in it.
+ * @param {unknown} error - The error.
+ * @param {ErrorContext} context - Where the error was thrown.
+ */
+export function handleComponentError(node, error, context) {
+  try {
+    errorReporter(error, context);
+  } catch (reporterError) {
+    console.error(reporterError);
+  }
+
+  for (let boundary = getClosestComponent(node); boundary; boundary = getClosestComponent(getAncestor(boundary))) {
+    const { onError } = /** @type {{ onError?: ErrorReporter }} */ (/** @type {unknown} */ (boundary));
+
+    if (!(boundary instanceof Component) || typeof onError !== 'function') continue;
+
+    try {
+      onError.call(boundary, error, context);
+      return;
+    } catch (rethrownError) {
+      error = rethrownError;
+    }
+  }
+}
+
 /**
  * Throws a formatted error when a required ref is not found in the component.
  */
@@ -1,17 +1,25 @@
 import { Component } from '@theme/component';
 import { debounce, isClickedOutside, onAnimationEnd } from '@theme/utilities';
 
+/**
+ * @typedef {object} DialogRefs
+ * @property {HTMLDialogElement} dialog – The dialog element.
+ */
+
 /**
  * A custom element that manages a dialog.
  *
- * @typedef {object} Refs
- * @property {HTMLDialogElement} dialog – The dialog element.
+ * Subclasses can declare more refs, as long as they include the dialog.
  *
- * @extends Component<Refs>
+ * @template {DialogRefs} [T=DialogRefs]
+ * @extends Component<T>
  */
 export class DialogComponent extends Component {
   requiredRefs = ['dialog'];
 
+  /** Whether this dialog locked the page scroll, which a dialog opened over another dialog doesn't */
+  #locksScroll = false;
+
   connectedCallback() {
     super.connectedCallback();
 
@@ -46,10 +54,14 @@ export class DialogComponent extends Component {
 
     if (dialog.open) return;
 
-    document.body.style.width = '100%';
-    const scrollY = window.scrollY;
-    document.body.style.position = 'fixed';
-    document.body.style.top = `-${scrollY}px`;
+    this.#locksScroll = document.body.style.position !== 'fixed';
+
+    if (this.#locksScroll) {
+      document.body.style.width = '100%';
+      const scrollY = window.scrollY;
+      document.body.style.position = 'fixed';
+      document.body.style.top = `-${scrollY}px`;
+    }
 
     dialog.showModal();
     this.dispatchEvent(new DialogOpenEvent());
@@ -79,11 +91,14 @@ export class DialogComponent extends Component {
       subtree: false,
     });
 
-    document.body.style.width = '';
-    const scrollY = document.body.style.top;
-    document.body.style.position = '';
-    document.body.style.top = '';
-    window.scrollTo({ top: parseInt(scrollY) * -1, behavior: 'instant' });
+    if (this.#locksScroll) {
+      document.body.style.width = '';
+      const scrollY = document.body.style.top;
+      document.body.style.position = '';
+      document.body.style.top = '';
+      window.scrollTo({ top: parseInt(scrollY) * -1, behavior: 'instant' });
+      this.#locksScroll = false;
+    }
 
     dialog.close();
     dialog.classList.remove('dialog-closing');
@@ -10,10 +10,14 @@ export class ThemeEvents {
   static variantSelected = 'variant:selected';
   /** @static @constant {string} Event triggered when a variant is changed */
   static variantUpdate = 'variant:update';
+  /** @static @constant {string} Event triggered when a variant is resolved from the product data of the page, its section is only rendered when a listener asks for it */
+  static variantResolve = 'variant:resolve';
   /** @static @constant {string} Event triggered when the cart items or quantities are updated */
   static cartUpdate = 'cart:update';
   /** @static @constant {string} Event triggered when a cart update fails */
   static cartError = 'cart:error';
+  /** @static @constant {string} Event triggered when the number of cart changes waiting to be synced changes */
+  static cartSync = 'cart:sync';
   /** @static @constant {string} Event triggered when a media (video, 3d model) is loaded */
   static mediaStartedPlaying = 'media:started-playing';
   // Event triggered when quantity-selector value is changed
@@ -46,6 +50,64 @@ export class VariantSelectedEvent extends Event {
   }
 }
 
+/**
+ * A variant as embedded in the variant picker.
+ * @typedef {object} ResolvedVariant
+ * @property {number} id - The id of the variant
+ * @property {string} title - The title of the variant
+ * @property {string[]} options - The option values of the variant
+ * @property {boolean} available - Whether the variant is available
+ * @property {string | null} inventory_management - The service managing the inventory of the variant
+ * @property {string} price - The formatted price
+ * @property {string | null} compare_at_price - The formatted compare at price, when the variant is on sale
+ * @property {string} preorder_ship_date - The ship date of a variant sold as a pre-order, or an empty string
+ * @property {boolean} has_unit_price - Whether the variant is sold with a unit price
+ * @property {boolean} has_quantity_rules - Whether the variant has quantity rules or price breaks
+ * @property {{ id: number, preview_image: { src: string } } | null} featured_media - The featured media of the variant
+ */
+
+/**
+ * Event fired when a variant is resolved from the product data embedded in the page.
+ * It's fired as soon as the options are picked, so listeners can update right away. The section of the variant is
+ * only rendered, and followed by a `VariantUpdateEvent`, when a listener calls `requestRender` because the embedded
+ * data doesn't cover its update.
+ * @extends {Event}
+ */
+export class VariantResolveEvent extends Event {
+  /**
+   * Creates a new VariantResolveEvent
+   * @param {ResolvedVariant | null} resource - The variant, or null when no variant has the options picked
+   * @param {string} sourceId - The id of the element the action was triggered from
+   * @param {Object} data - Additional event data
+   * @param {string} data.productId - The product ID of the variant, used to ensure the correct product form is updated
+   * @param {string} [data.sellingPlanId] - The selling plan chosen, whose price is only known once the section is rendered
+   */
+  constructor(resource, sourceId, data) {
+    super(ThemeEvents.variantResolve, { bubbles: true });
+    this.detail = {
+      resource,
+      sourceId,
+      data: {
+        productId: data.productId,
+        sellingPlanId: data.sellingPlanId,
+      },
+    };
+  }
+
+  /**
+   * Whether a listener asked for the section of the variant to be rendered.
+   * @type {boolean}
+   */
+  renderRequested = false;
+
+  /**
+   * Asks for the section of the variant to be rendered, for the updates the embedded data doesn't cover.
+   */
+  requestRender() {
+    this.renderRequested = true;
+  }
+}
+
 /**
  * Event fired after a variant is updated
  * @extends {Event}
@@ -154,8 +216,9 @@ export class CartErrorEvent extends Event {
    * @param {string} message - A message from the server response
    * @param {Object} description - Description from the server response
    * @param {Object} errors - Errors from the server response
+   * @param {number} [variantId] - The variant that couldn't be added, when several items were added at once
    */
-  constructor(sourceId, message, description, errors) {
+  constructor(sourceId, message, description, errors, variantId) {
     super(ThemeEvents.cartError, { bubbles: true });
     this.detail = {
       sourceId,
@@ -163,11 +226,29 @@ export class CartErrorEvent extends Event {
         message,
         errors,
         description,
+        variantId,
       },
     };
   }
 }
 
+/**
+ * Event class for cart changes waiting for connectivity
+ * @extends {Event}
+ */
+export class CartSyncEvent extends Event {
+  /**
+   * Creates a new CartSyncEvent
+   * @param {number} pendingCount - The number of cart changes waiting to be synced
+   */
+  constructor(pendingCount) {
+    super(ThemeEvents.cartSync, { bubbles: true });
+    this.detail = {
+      pendingCount,
+    };
+  }
+}
+
 /**
  * Event class for quantity-selector updates
  * @extends {Event}
@@ -196,12 +277,18 @@ export class DiscountUpdateEvent extends Event {
    * Creates a new DiscountUpdateEvent
    * @param {Object} resource - The new cart object
    * @param {string} sourceId - The id of the element the action was triggered from
+   * @param {Object} [data] - Additional event data
+   * @param {{ code: string, applicable: boolean }[]} [data.discountCodes] - The discount codes submitted with the change
+   * @param {Record<string, string>} [data.sections] - The sections rendered with the change
    */
-  constructor(resource, sourceId) {
+  constructor(resource, sourceId, data) {
     super(ThemeEvents.discountUpdate, { bubbles: true });
     this.detail = {
       resource,
       sourceId,
+      data: {
+        ...data,
+      },
     };
   }
 }
@@ -16,6 +16,8 @@ declare global {
   }
 
   interface Theme {
+    moneyFormat: string;
+    moneyWithCurrencyFormat: string;
     translations: Record<string, string>;
     placeholders: {
       general: string[];
@@ -24,6 +26,7 @@ declare global {
     routes: {
       cart_add_url: string;
       cart_change_url: string;
+      cart_clear_url: string;
       cart_update_url: string;
       cart_url: string;
       predictive_search_url: string;
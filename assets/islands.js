@@ -0,0 +1,219 @@
+import { requestIdleCallback } from '@theme/utilities';
+
+/**
+ * Loads the module of a custom element only when it's needed, instead of with the section rendering it.
+ *
+ * The element declares when with a `load:*` attribute, and is left undefined until then:
+ * - `load:visible` once it's near the viewport, the value sets the margin (`load:visible="400px"`)
+ * - `load:idle` once the browser is idle
+ * - `load:interaction` once the shopper points at, touches or focuses it
+ * - `load:media="(min-width: 750px)"` once the media query matches
+ *
+ * When several are declared, the module is loaded once they're all met.
+ *
+ * The module is imported through the import map: `@theme/<tag-name>`, without the `-component` suffix, so
+ * `marquee-component` loads `@theme/marquee`. The `load:module` attribute sets another specifier.
+ *
+ * @example
+ * <marquee-component load:visible>...</marquee-component>
+ */
+
+/**
+ * @typedef {(element: Element, value: string) => Promise<void>} Strategy
+ */
+
+const ATTRIBUTE_PREFIX = 'load:';
+
+const MODULE_ATTRIBUTE = 'load:module';
+
+const DEFAULT_ROOT_MARGIN = '200px';
+
+const INTERACTION_EVENTS = ['pointerenter', 'touchstart', 'focusin'];
+
+/** @type {Record<string, Strategy>} */
+const STRATEGIES = {
+  visible: whenVisible,
+  idle: whenIdle,
+  interaction: whenInteracted,
+  media: whenMediaMatches,
+};
+
+/**
+ * The elements waiting for their module, so a scan doesn't schedule them twice.
+ * @type {WeakSet<Element>}
+ */
+const scheduledElements = new WeakSet();
+
+/**
+ * The intersection observers of `load:visible`, by margin.
+ * @type {Map<string, IntersectionObserver>}
+ */
+const intersectionObservers = new Map();
+
+/**
+ * The callbacks of the elements observed for `load:visible`.
+ * @type {WeakMap<Element, () => void>}
+ */
+const visibleCallbacks = new WeakMap();
+
+/**
+ * Schedules the module of the undefined custom elements of a tree, including its root.
+ * @param {ParentNode} [root] - The tree to scan, the document by default.
+ */
+export function loadIslands(root = document) {
+  const elements = Array.from(root.querySelectorAll(':not(:defined)'));
+
+  if (root instanceof Element && root.matches(':not(:defined)')) elements.unshift(root);
+
+  for (const element of elements) {
+    if (scheduledElements.has(element)) continue;
+
+    const strategies = getStrategies(element);
+    if (!strategies.length) continue;
+
+    scheduledElements.add(element);
+    loadIsland(element, strategies);
+  }
+}
+
+/**
+ * Waits for the strategies of an element, then imports its module.
+ * @param {Element} element
+ * @param {Array<[Strategy, string]>} strategies
+ */
+async function loadIsland(element, strategies) {
+  const tagName = element.localName;
+  const specifier = element.getAttribute(MODULE_ATTRIBUTE) || getSpecifier(tagName);
+
+  try {
+    await Promise.all(strategies.map(([strategy, value]) => strategy(element, value)));
+
+    if (customElements.get(tagName)) return;
+
+    await import(specifier);
+  } catch (error) {
+    console.error(`Failed to load ${specifier} for <${tagName}>`, error);
+  }
+}
+
+/**
+ * Gets the strategies an element declares.
+ * @param {Element} element
+ * @returns {Array<[Strategy, string]>}
+ */
+function getStrategies(element) {
+  /** @type {Array<[Strategy, string]>} */
+  const strategies = [];
+
+  for (const { name, value } of Array.from(element.attributes)) {
+    if (!name.startsWith(ATTRIBUTE_PREFIX) || name === MODULE_ATTRIBUTE) continue;
+
+    const strategy = STRATEGIES[name.slice(ATTRIBUTE_PREFIX.length)];
+
+    if (strategy) {
+      strategies.push([strategy, value]);
+    } else {
+      console.warn(`Unknown loading strategy "${name}" on <${element.localName}>`);
+    }
+  }
+
+  return strategies;
+}
+
+/**
+ * Gets the import map specifier of a custom element.
+ * @param {string} tagName
+ * @returns {string}
+ */
+function getSpecifier(tagName) {
+  return `@theme/${tagName.replace(/-component$/, '')}`;
+}
+
+/**
+ * @type {Strategy}
+ */
+function whenVisible(element, rootMargin) {
+  const margin = rootMargin || DEFAULT_ROOT_MARGIN;
+  let observer = intersectionObservers.get(margin);
+
+  if (!observer) {
+    observer = new IntersectionObserver(
+      (entries, observer) => {
+        for (const entry of entries) {
+          if (!entry.isIntersecting) continue;
+
+          observer.unobserve(entry.target);
+          visibleCallbacks.get(entry.target)?.();
+          visibleCallbacks.delete(entry.target);
+        }
+      },
+      { rootMargin: margin }
+    );
+    intersectionObservers.set(margin, observer);
+  }
+
+  const intersectionObserver = observer;
+
+  return new Promise((resolve) => {
+    visibleCallbacks.set(element, resolve);
+    intersectionObserver.observe(element);
+  });
+}
+
+/**
+ * @type {Strategy}
+ */
+function whenIdle() {
+  return new Promise((resolve) => requestIdleCallback(() => resolve()));
+}
+
+/**
+ * @type {Strategy}
+ */
+function whenInteracted(element) {
+  return new Promise((resolve) => {
+    const controller = new AbortController();
+
+    for (const eventName of INTERACTION_EVENTS) {
+      element.addEventListener(
+        eventName,
+        () => {
+          controller.abort();
+          resolve();
+        },
+        { passive: true, signal: controller.signal }
+      );
+    }
+  });
+}
+
+/**
+ * @type {Strategy}
+ */
+function whenMediaMatches(_element, query) {
+  const mediaQueryList = window.matchMedia(query);
+
+  if (mediaQueryList.matches) return Promise.resolve();
+
+  return new Promise((resolve) => {
+    const controller = new AbortController();
+
+    mediaQueryList.addEventListener(
+      'change',
+      (event) => {
+        if (!event.matches) return;
+
+        controller.abort();
+        resolve();
+      },
+      { signal: controller.signal }
+    );
+  });
+}
+
+loadIslands();
+
+// Sections added in the theme editor are rendered without a morph
+document.addEventListener('shopify:section:load', (event) => {
+  if (event.target instanceof Element) loadIslands(event.target);
+});
@@ -1,6 +1,6 @@
 import { Component } from '@theme/component';
 import { morph } from '@theme/morph';
-import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { ThemeEvents, VariantResolveEvent, VariantUpdateEvent } from '@theme/events';
 
 class LocalPickup extends Component {
   /** @type {AbortController | undefined} */
@@ -11,29 +11,40 @@ class LocalPickup extends Component {
 
     const closestSection = this.closest(`.shopify-section, dialog`);
 
+    /** @param {{ id: string | number, available: boolean } | null} variant */
+    const showVariant = (variant) => {
+      const variantId = variant ? String(variant.id) : null;
+      if (variantId === this.dataset.variantId) return;
+
+      if (variantId && variant?.available) {
+        this.removeAttribute('hidden');
+        this.dataset.variantId = variantId;
+        this.#fetchAvailability(variantId);
+      } else {
+        this.setAttribute('hidden', '');
+        delete this.dataset.variantId;
+      }
+    };
+
     /** @type {(event: VariantUpdateEvent) => void} */
     const variantUpdated = (event) => {
       if (event.detail.data.newProduct) {
         this.dataset.productUrl = event.detail.data.newProduct.url;
       }
 
-      const variantId = event.detail.resource ? event.detail.resource.id : null;
-      const variantAvailable = event.detail.resource ? event.detail.resource.available : null;
-      if (variantId !== this.dataset.variantId) {
-        if (variantId && variantAvailable) {
-          this.removeAttribute('hidden');
-          this.dataset.variantId = variantId;
-          this.#fetchAvailability(variantId);
-        } else {
-          this.setAttribute('hidden', '');
-        }
-      }
+      showVariant(event.detail.resource);
     };
 
+    // The availability is fetched as soon as the variant is picked, alongside its section if it's rendered
+    /** @type {(event: VariantResolveEvent) => void} */
+    const variantResolved = (event) => showVariant(event.detail.resource);
+
     closestSection?.addEventListener(ThemeEvents.variantUpdate, variantUpdated);
+    closestSection?.addEventListener(ThemeEvents.variantResolve, variantResolved);
 
     this.disconnectedCallback = () => {
       closestSection?.removeEventListener(ThemeEvents.variantUpdate, variantUpdated);
+      closestSection?.removeEventListener(ThemeEvents.variantResolve, variantResolved);
     };
   }
 
@@ -1,5 +1,5 @@
 import { Component } from '@theme/component';
-import { ThemeEvents, VariantUpdateEvent, ZoomMediaSelectedEvent } from '@theme/events';
+import { ThemeEvents, VariantResolveEvent, VariantUpdateEvent, ZoomMediaSelectedEvent } from '@theme/events';
 
 /**
  * A custom element that renders a media gallery.
@@ -19,6 +19,7 @@ export class MediaGallery extends Component {
     const target = this.closest('.shopify-section, dialog');
 
     target?.addEventListener(ThemeEvents.variantUpdate, this.#handleVariantUpdate, { signal });
+    target?.addEventListener(ThemeEvents.variantResolve, this.#handleVariantResolve, { signal });
     this.refs.zoomDialogComponent?.addEventListener(ThemeEvents.zoomMediaSelected, this.#handleZoomMediaSelected, {
       signal,
     });
@@ -48,6 +49,34 @@ export class MediaGallery extends Component {
     this.replaceWith(newMediaGallery);
   };
 
+  /**
+   * Shows the featured media of a variant picked, until the gallery rendered for the variant replaces this one.
+   *
+   * @param {VariantResolveEvent} event - The variant resolve event.
+   */
+  #handleVariantResolve = (event) => {
+    const mediaId = event.detail.resource?.featured_media?.id;
+
+    // The gallery is rendered around the featured media of the variant, so another one needs the section
+    if (this.dataset.variantMediaId !== String(mediaId ?? '')) event.requestRender();
+
+    if (!mediaId) return;
+
+    const { slideshow } = this;
+    const slide = slideshow?.slides?.find((slide) => slide.querySelector(`[data-media-id="${mediaId}"]`));
+
+    if (slideshow && slide && !slideshow.disabled) {
+      slideshow.select(slideshow.slides?.indexOf(slide) ?? 0);
+    }
+
+    // The grid shows the featured media of the variant first, the way it's rendered
+    const gridItem = this.media?.find(
+      (item) => item.closest('.media-gallery__grid') && item.querySelector(`[data-media-id="${mediaId}"]`)
+    );
+
+    gridItem?.parentElement?.prepend(gridItem);
+  };
+
   /**
    * Handles the 'zoom-media:selected' event.
    * @param {ZoomMediaSelectedEvent} event - The zoom-media:selected event.
@@ -62,8 +91,13 @@ export class MediaGallery extends Component {
    * @param {number} index - The index of the media to zoom.
    * @param {PointerEvent} event - The pointer event.
    */
-  zoom(index, event) {
-    this.refs.zoomDialogComponent?.open(index, event);
+  async zoom(index, event) {
+    const { zoomDialogComponent } = this.refs;
+    if (!zoomDialogComponent) return;
+
+    // The zoom dialog is loaded once the browser is idle, so it may not be defined yet
+    await customElements.whenDefined('zoom-dialog');
+    zoomDialogComponent.open(index, event);
   }
 
   get slideshow() {
@@ -1,4 +1,5 @@
-import { Component } from '@theme/component';
+import { Component, getMorphHookComponents, handleComponentError } from '@theme/component';
+import { loadIslands } from '@theme/islands';
 
 /**
  * @typedef {Object} Options
@@ -97,16 +98,72 @@ export function morph(oldTree, newTree, options = MORPH_OPTIONS) {
     newTree = parsedNewTree;
   }
 
+  if (!options.childrenOnly && newTree.nodeType === 11) {
+    throw new Error('newTree should have one root node (not a DocumentFragment)');
+  }
+
+  const components = getMorphedComponents(oldTree);
+
+  for (const component of components) {
+    callHook(component, () => component.beforeMorph(/** @type {Node} */ (newTree)));
+  }
+
+  let morphedTree = oldTree;
+
   if (options.childrenOnly) {
     updateChildren(newTree, oldTree, options);
-    return oldTree;
+  } else {
+    morphedTree = walk(newTree, oldTree, options);
   }
 
-  if (newTree.nodeType === 11) {
-    throw new Error('newTree should have one root node (not a DocumentFragment)');
+  for (const component of components) {
+    if (component.isConnected) callHook(component, () => component.afterMorph());
   }
 
-  return walk(newTree, oldTree, options);
+  // The morph may have added custom elements that are loaded lazily
+  if (morphedTree instanceof Element || morphedTree instanceof DocumentFragment) loadIslands(morphedTree);
+
+  return morphedTree;
+}
+
+/**
+ * Gets the components with morph hooks a morph updates: the component of the tree and the ones in it.
+ * @param {Node} tree - The tree being morphed
+ * @returns {Component[]} The components
+ */
+function getMorphedComponents(tree) {
+  const hookComponents = getMorphHookComponents();
+
+  /** @type {Component[]} */
+  const components = [];
+
+  if (!hookComponents.size) return components;
+
+  for (let node = /** @type {Node | null} */ (tree); node; node = node.parentNode) {
+    if (node instanceof Component) {
+      if (hookComponents.has(node)) components.push(node);
+      break;
+    }
+  }
+
+  for (const component of hookComponents) {
+    if (component !== tree && tree.contains(component)) components.push(component);
+  }
+
+  return components;
+}
+
+/**
+ * Calls a morph hook of a component, sending its errors to the error boundary of the component
+ * @param {Component} component - The component
+ * @param {() => void} hook - The hook
+ */
+function callHook(component, hook) {
+  try {
+    hook();
+  } catch (error) {
+    handleComponentError(component, error, { phase: 'morph', component });
+  }
 }
 
 /**
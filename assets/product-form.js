@@ -1,8 +1,10 @@
 import { Component } from '@theme/component';
-import { fetchConfig, onAnimationEnd, preloadImage } from '@theme/utilities';
-import { ThemeEvents, CartAddEvent, CartErrorEvent, VariantUpdateEvent } from '@theme/events';
+import { onAnimationEnd, preloadImage } from '@theme/utilities';
+import { ThemeEvents, CartAddEvent, CartErrorEvent, VariantResolveEvent, VariantUpdateEvent } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
 import { morph } from '@theme/morph';
+import { cartStore, CartError, CartOfflineError } from '@theme/cart-store';
+import { enforceQuantityRule } from '@theme/quantity-rules';
 
 export const ADD_TO_CART_TEXT_ANIMATION_DURATION = 2000;
 
@@ -116,7 +118,8 @@ export class AddToCartComponent extends Component {
    * @returns {boolean} - True if the form is valid, false otherwise.
    */
   #checkFormValidity() {
-    const form = this.closest('form');
+    // The button can submit a form it's rendered outside of, like the sticky add to cart bar
+    const form = this.refs.addToCartButton.form;
     if (!form) return true;
 
     const allInputs = Array.from(form.querySelectorAll('input, select, textarea')).filter((input) =>
@@ -160,6 +163,7 @@ if (!customElements.get('add-to-cart-component')) {
  * @property {HTMLElement | undefined} addToCartTextError - The add to cart text error.
  * @property {HTMLElement | undefined} acceleratedCheckoutButtonContainer - The accelerated checkout button container element.
  * @property {HTMLElement} liveRegion - The live region.
+ * @property {HTMLInputElement | undefined} preorderInput - The line property carrying the ship date of a pre-order.
  *
  * @extends Component<ProductFormRefs>
  */
@@ -170,15 +174,28 @@ class ProductFormComponent extends Component {
   /** @type {number | undefined} */
   #timeout;
 
+  /**
+   * What the add to cart button was last rendered for, see `getButtonState`.
+   * @type {string | undefined}
+   */
+  #buttonState;
+
   connectedCallback() {
     super.connectedCallback();
 
     const { signal } = this.#abortController;
     const target = this.closest('.shopify-section, dialog, product-card');
     target?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, { signal });
+    target?.addEventListener(ThemeEvents.variantResolve, this.#onVariantResolve, { signal });
     target?.addEventListener(ThemeEvents.variantSelected, this.#onVariantSelected, { signal });
   }
 
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#buttonState = undefined;
+  }
+
   disconnectedCallback() {
     super.disconnectedCallback();
 
@@ -205,47 +222,89 @@ class ProductFormComponent extends Component {
 
     if (!form) throw new Error('Product form element missing');
 
+    // Typed quantities are snapped on blur, which doesn't happen when the form is submitted with the Enter key
+    const quantityInput = form.querySelector('input[name="quantity"]');
+    if (quantityInput instanceof HTMLInputElement) enforceQuantityRule(quantityInput);
+
     const formData = new FormData(form);
 
     const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    let cartItemComponentsSectionIds = [];
+    /** @type {string[]} */
+    const cartItemComponentsSectionIds = [];
     cartItemsComponents.forEach((item) => {
       if (item instanceof HTMLElement && item.dataset.sectionId) {
         cartItemComponentsSectionIds.push(item.dataset.sectionId);
       }
-      formData.append('sections', cartItemComponentsSectionIds.join(','));
     });
 
-    const fetchCfg = fetchConfig('javascript', { body: formData });
-
-    fetch(Theme.routes.cart_add_url, {
-      ...fetchCfg,
-      headers: {
-        ...fetchCfg.headers,
-        Accept: 'text/html',
-      },
-    })
-      .then((response) => response.json())
-      .then((response) => {
-        if (response.status) {
-          this.dispatchEvent(
-            new CartErrorEvent(form.getAttribute('id') || '', response.message, response.description, response.errors)
-          );
-
-          if (!addToCartTextError) return;
+    const id = formData.get('id');
+
+    cartStore
+      .add(formData, { sections: cartItemComponentsSectionIds })
+      .then(({ cart, sections }) => {
+        if (addToCartTextError) {
+          addToCartTextError.classList.add('hidden');
+          addToCartTextError.removeAttribute('aria-live');
+        }
+
+        if (!id) throw new Error('Form ID is required');
+
+        // Add aria-live region to inform screen readers that the item was added
+        if (this.refs.addToCartButtonContainer?.refs.addToCartButton) {
+          const addToCartButton = this.refs.addToCartButtonContainer.refs.addToCartButton;
+          const addedTextElement = addToCartButton.querySelector('.add-to-cart-text--added');
+          const addedText = addedTextElement?.textContent?.trim() || Theme.translations.added;
+
+          this.#setLiveRegionText(addedText);
+
+          setTimeout(() => {
+            this.#clearLiveRegionText();
+          }, 5000);
+        }
+
+        this.dispatchEvent(
+          new CartAddEvent(cart, id.toString(), {
+            source: 'product-form-component',
+            itemCount: cart.item_count,
+            productId: this.dataset.productId,
+            sections,
+          })
+        );
+      })
+      .catch((error) => {
+        if (error instanceof CartOfflineError) {
+          this.#setLiveRegionText(Theme.translations.cart_pending_sync);
+          return;
+        }
+
+        if (!(error instanceof CartError)) {
+          console.error(error);
+          return;
+        }
+
+        this.dispatchEvent(
+          new CartErrorEvent(
+            form.getAttribute('id') || '',
+            error.title ?? '',
+            error.description ?? '',
+            error.errors ?? {}
+          )
+        );
+
+        if (addToCartTextError) {
           addToCartTextError.classList.remove('hidden');
 
           // Reuse the text node if the user is spam-clicking
           const textNode = addToCartTextError.childNodes[2];
           if (textNode) {
-            textNode.textContent = response.message;
+            textNode.textContent = error.title ?? error.message;
           } else {
-            const newTextNode = document.createTextNode(response.message);
+            const newTextNode = document.createTextNode(error.title ?? error.message);
             addToCartTextError.appendChild(newTextNode);
           }
 
           // Create or get existing error live region for screen readers
-          this.#setLiveRegionText(response.message);
+          this.#setLiveRegionText(error.title ?? error.message);
 
           this.#timeout = setTimeout(() => {
             if (!addToCartTextError) return;
@@ -254,54 +313,21 @@ class ProductFormComponent extends Component {
             // Clear the announcement
             this.#clearLiveRegionText();
           }, 10000);
-
-          // When we add more than the maximum amount of items to the cart, we need to dispatch a cart update event
-          // because our back-end still adds the max allowed amount to the cart.
-          this.dispatchEvent(
-            new CartAddEvent({}, this.id, {
-              didError: true,
-              source: 'product-form-component',
-              itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
-              productId: this.dataset.productId,
-            })
-          );
-
-          return;
-        } else {
-          const id = formData.get('id');
-
-          if (addToCartTextError) {
-            addToCartTextError.classList.add('hidden');
-            addToCartTextError.removeAttribute('aria-live');
-          }
-
-          if (!id) throw new Error('Form ID is required');
-
-          // Add aria-live region to inform screen readers that the item was added
-          if (this.refs.addToCartButtonContainer?.refs.addToCartButton) {
-            const addToCartButton = this.refs.addToCartButtonContainer.refs.addToCartButton;
-            const addedTextElement = addToCartButton.querySelector('.add-to-cart-text--added');
-            const addedText = addedTextElement?.textContent?.trim() || Theme.translations.added;
-
-            this.#setLiveRegionText(addedText);
-
-            setTimeout(() => {
-              this.#clearLiveRegionText();
-            }, 5000);
-          }
-
-          this.dispatchEvent(
-            new CartAddEvent({}, id.toString(), {
-              source: 'product-form-component',
-              itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
-              productId: this.dataset.productId,
-              sections: response.sections,
-            })
-          );
         }
-      })
-      .catch((error) => {
-        console.error(error);
+
+        // When we add more than the maximum amount of items to the cart, we need to dispatch a cart update event
+        // because our back-end still adds the max allowed amount to the cart.
+        const { cart } = cartStore;
+        if (!cart) return;
+
+        this.dispatchEvent(
+          new CartAddEvent(cart, this.id, {
+            didError: true,
+            source: 'product-form-component',
+            itemCount: cart.item_count,
+            productId: this.dataset.productId,
+          })
+        );
       })
       .finally(() => {
         // add more thing to do in here if needed.
@@ -356,6 +382,22 @@ class ProductFormComponent extends Component {
     // Update the variant ID
     variantId.value = event.detail.resource.id ?? '';
 
+    // Pre-orders are added with their ship date, which depends on the variant
+    const { preorderInput } = this.refs;
+    const newPreorderInput = event.detail.data.html.querySelector(
+      `product-form-component[data-product-id="${this.dataset.productId}"] [ref="preorderInput"]`
+    );
+
+    if (preorderInput) {
+      preorderInput.value = newPreorderInput instanceof HTMLInputElement ? newPreorderInput.value : '';
+      preorderInput.disabled = !preorderInput.value;
+    }
+
+    this.#buttonState = getButtonState(
+      event.detail.resource,
+      newPreorderInput instanceof HTMLInputElement && !!newPreorderInput.value
+    );
+
     // Set the data attribute for the add to cart button to the product variant media if it exists
     if (event.detail.resource) {
       const productVariantMedia = event.detail.resource.featured_media?.preview_image?.src;
@@ -364,15 +406,72 @@ class ProductFormComponent extends Component {
     }
   };
 
+  /**
+   * Selects a variant as soon as it's picked, so it can be added before its section is rendered.
+   * The section is only rendered when the button text or the quantity rules change, the text follows in
+   * #onVariantUpdate.
+   * @param {VariantResolveEvent} event
+   */
+  #onVariantResolve = (event) => {
+    if (event.detail.data.productId !== this.dataset.productId) return;
+
+    const { variantId, addToCartButtonContainer, preorderInput } = this.refs;
+    const variant = event.detail.resource;
+
+    if (getButtonState(variant, !!variant?.preorder_ship_date) !== this.#buttonState || variant?.has_quantity_rules) {
+      event.requestRender();
+    }
+
+    if (variant?.available) {
+      addToCartButtonContainer?.enable();
+      this.refs.acceleratedCheckoutButtonContainer?.removeAttribute('hidden');
+    } else {
+      addToCartButtonContainer?.disable();
+      this.refs.acceleratedCheckoutButtonContainer?.setAttribute('hidden', 'true');
+    }
+
+    variantId.value = variant ? String(variant.id) : '';
+
+    if (preorderInput) {
+      preorderInput.value = variant?.preorder_ship_date ?? '';
+      preorderInput.disabled = !preorderInput.value;
+    }
+
+    const productVariantMedia = variant?.featured_media?.preview_image.src;
+    if (productVariantMedia) {
+      addToCartButtonContainer?.setAttribute('data-product-variant-media', productVariantMedia + '&width=100');
+    }
+  };
+
   /**
    * Disable the add to cart button while the UI is updating before #onVariantUpdate is called.
    * Accelerated checkout button is also disabled via its own event listener not exposed to the theme.
    */
   #onVariantSelected = () => {
-    this.refs.addToCartButtonContainer?.disable();
+    const { addToCartButtonContainer, preorderInput } = this.refs;
+    const addToCartButton = addToCartButtonContainer?.refs.addToCartButton;
+
+    // The button is still as rendered the first time a variant is picked
+    if (addToCartButton) {
+      this.#buttonState ??= getButtonState({ available: !addToCartButton.disabled }, !!preorderInput?.value);
+    }
+
+    addToCartButtonContainer?.disable();
   };
 }
 
+/**
+ * Gets what the add to cart button shows for a variant, the way the buy buttons block renders it.
+ * @param {{ available: boolean } | null} variant - The variant, or null when no variant has the options picked.
+ * @param {boolean} isPreorder - Whether the variant is sold as a pre-order.
+ * @returns {string}
+ */
+function getButtonState(variant, isPreorder) {
+  if (!variant) return 'unavailable';
+
+  return `${variant.available ? 'available' : 'sold-out'}${isPreorder ? '-preorder' : ''}`;
+}
+
 if (!customElements.get('product-form-component')) {
   customElements.define('product-form-component', ProductFormComponent);
 }
@@ -1,15 +1,17 @@
-import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { ThemeEvents, VariantResolveEvent, VariantUpdateEvent } from '@theme/events';
 import { morph } from '@theme/morph';
 
 class ProductInventory extends HTMLElement {
   connectedCallback() {
     const closestSection = this.closest('.shopify-section, dialog');
     closestSection?.addEventListener(ThemeEvents.variantUpdate, this.updateInventory);
+    closestSection?.addEventListener(ThemeEvents.variantResolve, this.resolveInventory);
   }
 
   disconnectedCallback() {
     const closestSection = this.closest('.shopify-section, dialog');
     closestSection?.removeEventListener(ThemeEvents.variantUpdate, this.updateInventory);
+    closestSection?.removeEventListener(ThemeEvents.variantResolve, this.resolveInventory);
   }
 
   /**
@@ -29,6 +31,32 @@ class ProductInventory extends HTMLElement {
 
     morph(this, newInventory, { childrenOnly: true });
   };
+
+  /**
+   * Shows the inventory status of a variant picked, from the statuses embedded in the block.
+   * @param {VariantResolveEvent} event - The variant resolve event.
+   */
+  resolveInventory = (event) => {
+    const variant = event.detail.resource;
+
+    if (event.target instanceof HTMLElement && event.target.dataset.productId !== this.dataset.productId) return;
+
+    const statuses = this.querySelector('script[type="application/json"]')?.textContent;
+    const icon = this.querySelector('.product-inventory__icon');
+    const text = this.querySelector('.product-inventory__text');
+
+    /** @type {Record<string, { status: string, text: string }>} */
+    const variantStatuses = statuses ? JSON.parse(statuses) : {};
+    const variantStatus = variant && variantStatuses[variant.id];
+
+    if (!variantStatus || !icon || !text) {
+      event.requestRender();
+      return;
+    }
+
+    icon.className = `svg-wrapper product-inventory__icon product-inventory__icon-${variantStatus.status}`;
+    text.textContent = variantStatus.text;
+  };
 }
 
 if (!customElements.get('product-inventory')) {
@@ -1,4 +1,4 @@
-import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { ThemeEvents, VariantResolveEvent, VariantUpdateEvent } from '@theme/events';
 
 /**
  * A custom element that displays a product price.
@@ -12,12 +12,14 @@ class ProductPrice extends HTMLElement {
     const closestSection = this.closest('.shopify-section, dialog');
     if (!closestSection) return;
     closestSection.addEventListener(ThemeEvents.variantUpdate, this.updatePrice);
+    closestSection.addEventListener(ThemeEvents.variantResolve, this.resolvePrice);
   }
 
   disconnectedCallback() {
     const closestSection = this.closest('.shopify-section, dialog');
     if (!closestSection) return;
     closestSection.removeEventListener(ThemeEvents.variantUpdate, this.updatePrice);
+    closestSection.removeEventListener(ThemeEvents.variantResolve, this.resolvePrice);
   }
 
   /**
@@ -40,6 +42,38 @@ class ProductPrice extends HTMLElement {
       currentPrice.replaceWith(newPrice);
     }
   };
+
+  /**
+   * Shows the price of a variant picked.
+   * Only the amounts are updated, so a variant going on or off sale, selling plan prices, unit prices and pre-order
+   * dates wait for the rendered price.
+   * @param {VariantResolveEvent} event - The variant resolve event.
+   */
+  resolvePrice = (event) => {
+    const variant = event.detail.resource;
+
+    if (event.target instanceof HTMLElement && event.target.dataset.productId !== this.dataset.productId) return;
+
+    const price = this.querySelector('[ref="priceContainer"] .price');
+    const compareAtPrice = this.querySelector('[ref="priceContainer"] .compare-at-price');
+    const hasRenderedDetails = !!this.querySelector('[ref="priceContainer"] :is(.unit-price, .price__preorder)');
+
+    if (
+      !variant ||
+      !price ||
+      event.detail.data.sellingPlanId ||
+      variant.has_unit_price ||
+      variant.preorder_ship_date ||
+      hasRenderedDetails ||
+      !!compareAtPrice !== !!variant.compare_at_price
+    ) {
+      event.requestRender();
+      return;
+    }
+
+    price.textContent = variant.price;
+    if (compareAtPrice) compareAtPrice.textContent = variant.compare_at_price;
+  };
 }
 
 if (!customElements.get('product-price')) {
@@ -0,0 +1,71 @@
+/**
+ * @typedef {Object} QuantityRule
+ * @property {number} min - The minimum quantity of a line
+ * @property {number | null} max - The maximum quantity of a line, if any
+ * @property {number} increment - The quantity of a line must be a multiple of this
+ */
+
+/**
+ * @typedef {Object} PriceBreak
+ * @property {number} minimum_quantity - The quantity from which the price applies
+ * @property {number} price - The unit price, in cents
+ */
+
+/** @type {QuantityRule} */
+const DEFAULT_RULE = { min: 1, max: null, increment: 1 };
+
+/**
+ * Reads the quantity rule rendered on an element by the `quantity-selector` snippet.
+ * @param {HTMLElement} element
+ * @returns {QuantityRule}
+ */
+export function getQuantityRule(element) {
+  const { quantityMin, quantityMax, quantityIncrement } = element.dataset;
+
+  return {
+    min: Number(quantityMin) || DEFAULT_RULE.min,
+    max: Number(quantityMax) || DEFAULT_RULE.max,
+    increment: Number(quantityIncrement) || DEFAULT_RULE.increment,
+  };
+}
+
+/**
+ * Gets the valid quantity closest to a quantity.
+ * @param {number} quantity
+ * @param {QuantityRule} rule
+ * @returns {number}
+ */
+export function snapQuantity(quantity, { min, max, increment }) {
+  const snapped = Math.max(min, Math.round((Number.isFinite(quantity) ? quantity : min) / increment) * increment);
+
+  return max === null ? snapped : Math.min(snapped, Math.floor(max / increment) * increment);
+}
+
+/**
+ * Snaps the value of a quantity input to the rule of its quantity selector.
+ * Zero is kept when the input allows it, which removes a cart line.
+ * @param {HTMLInputElement} input
+ * @returns {number} The valid quantity
+ */
+export function enforceQuantityRule(input) {
+  const selector = input.closest('[data-quantity-increment]');
+  const rule = selector instanceof HTMLElement ? getQuantityRule(selector) : DEFAULT_RULE;
+  const value = Number(input.value);
+  const quantity = value <= 0 && Number(input.min) === 0 ? 0 : snapQuantity(value, rule);
+
+  input.value = String(quantity);
+
+  return quantity;
+}
+
+/**
+ * Gets the volume price applying to a quantity.
+ * @param {number} quantity
+ * @param {PriceBreak[]} priceBreaks
+ * @returns {PriceBreak | undefined}
+ */
+export function getPriceBreak(quantity, priceBreaks) {
+  return priceBreaks
+    .filter((priceBreak) => quantity >= priceBreak.minimum_quantity)
+    .sort((a, b) => b.minimum_quantity - a.minimum_quantity)[0];
+}
@@ -3,6 +3,12 @@ import { Component } from '@theme/component';
 import { CartUpdateEvent, ThemeEvents } from '@theme/events';
 import { DialogComponent, DialogCloseEvent } from '@theme/dialog';
 import { mediaQueryLarge, isMobileBreakpoint, getIOSVersion } from '@theme/utilities';
+import { sectionRenderer } from '@theme/section-renderer';
+
+/**
+ * The section rendering the variant matrix of a product
+ */
+const VARIANT_MATRIX_SECTION_ID = 'section-rendering-variant-matrix';
 
 export class QuickAddComponent extends Component {
   /** @type {AbortController | null} */
@@ -61,6 +67,12 @@ export class QuickAddComponent extends Component {
 
     const currentUrl = this.productPageUrl;
 
+    // Products whose matrix fails to load are added through the product form instead
+    if (this.dataset.variantMatrix !== undefined && (await this.#showVariantMatrix(currentUrl))) {
+      this.#openQuickAddModal();
+      return;
+    }
+
     // Check if we have cached content for this URL
     let productGrid = this.#cachedContent.get(currentUrl);
 
@@ -86,6 +98,31 @@ export class QuickAddComponent extends Component {
     this.#openQuickAddModal();
   };
 
+  /**
+   * Renders the variant matrix of the product in the modal.
+   * The matrix isn't cached, so the availability is always up to date.
+   * @param {string} productPageUrl - The URL of the product page
+   * @returns {Promise<boolean>} Whether the matrix was rendered
+   */
+  async #showVariantMatrix(productPageUrl) {
+    const modalContent = document.getElementById('quick-add-modal-content');
+
+    if (!productPageUrl || !modalContent) return false;
+
+    try {
+      const html = await sectionRenderer.getSectionHTML(VARIANT_MATRIX_SECTION_ID, false, new URL(productPageUrl));
+      const matrix = new DOMParser().parseFromString(html, 'text/html').querySelector('.variant-matrix__wrapper');
+
+      if (!matrix) return false;
+
+      morph(modalContent, matrix);
+      return true;
+    } catch (error) {
+      console.error(error);
+      return false;
+    }
+  }
+
   /** @param {QuickAddDialog} dialogComponent */
   #stayVisibleUntilDialogCloses(dialogComponent) {
     this.toggleAttribute('stay-visible', true);
@@ -0,0 +1,321 @@
+import { Component } from '@theme/component';
+import { CartAddEvent } from '@theme/events';
+import { cartStore, CartError, CartOfflineError } from '@theme/cart-store';
+import { sectionRenderer } from '@theme/section-renderer';
+
+/**
+ * @typedef {Object} SavedItem
+ * @property {string} id - The unique id of the saved item
+ * @property {number} variantId - The id of the saved variant
+ * @property {string} url - The url of the product, with the variant selected
+ * @property {string} title - The title of the product when it was saved
+ * @property {number} quantity - The quantity the line had
+ * @property {Record<string, string>} properties - The line item properties
+ * @property {number} [sellingPlan] - The selling plan id of the line
+ * @property {number} savedAt - When the item was saved
+ */
+
+/**
+ * Persists the saved list somewhere else than the browser, e.g. a customer metafield updated through an app proxy.
+ *
+ * @typedef {Object} SavedForLaterSyncHandler
+ * @property {() => Promise<SavedItem[]>} [load] - Gets the items saved on other devices
+ * @property {(items: SavedItem[]) => Promise<void>} save - Persists the list after every change
+ */
+
+const STORAGE_KEY = 'theme-saved-for-later';
+
+/**
+ * The section rendering the product details of a saved item
+ */
+const ITEM_SECTION_ID = 'section-rendering-saved-item';
+
+/**
+ * The list of cart lines the shopper saved for later.
+ *
+ * The list is stored in the browser, so it survives the cart being cleared or checked out.
+ */
+class SavedForLaterList {
+  /** @type {SavedItem[]} */
+  #items = readItems();
+
+  /** @type {Set<(items: SavedItem[]) => void>} */
+  #listeners = new Set();
+
+  /** @type {SavedForLaterSyncHandler | null} */
+  #syncHandler = null;
+
+  constructor() {
+    // Keep the list in sync with the other tabs
+    window.addEventListener('storage', (event) => {
+      if (event.key !== STORAGE_KEY) return;
+
+      this.#items = readItems();
+      this.#notify();
+    });
+  }
+
+  /**
+   * The saved items, most recently saved first.
+   * @returns {SavedItem[]}
+   */
+  get items() {
+    return this.#items;
+  }
+
+  /**
+   * Subscribes to changes of the list.
+   * @param {(items: SavedItem[]) => void} listener
+   * @returns {() => void} A function that removes the subscription
+   */
+  subscribe(listener) {
+    this.#listeners.add(listener);
+
+    return () => this.#listeners.delete(listener);
+  }
+
+  /**
+   * Saves an item, merging it with an identical saved item.
+   * @param {Omit<SavedItem, 'id' | 'savedAt'>} item
+   */
+  add(item) {
+    const existingItem = this.#items.find(
+      (savedItem) =>
+        savedItem.variantId === item.variantId &&
+        savedItem.sellingPlan === item.sellingPlan &&
+        JSON.stringify(savedItem.properties) === JSON.stringify(item.properties)
+    );
+    const quantity = item.quantity + (existingItem?.quantity ?? 0);
+    const items = this.#items.filter((savedItem) => savedItem !== existingItem);
+
+    this.#save([{ ...item, quantity, id: `${item.variantId}-${Date.now()}`, savedAt: Date.now() }, ...items]);
+  }
+
+  /**
+   * Removes an item.
+   * @param {string} id - The id of the saved item
+   */
+  remove(id) {
+    this.#save(this.#items.filter((item) => item.id !== id));
+  }
+
+  /**
+   * Persists the list somewhere else too, and adds the items saved there.
+   * @param {SavedForLaterSyncHandler} handler
+   */
+  async setSyncHandler(handler) {
+    this.#syncHandler = handler;
+
+    const remoteItems = (await handler.load?.()) ?? [];
+    const newItems = remoteItems.filter((remoteItem) => !this.#items.some((item) => item.id === remoteItem.id));
+
+    if (newItems.length) this.#save([...this.#items, ...newItems].sort((a, b) => b.savedAt - a.savedAt));
+  }
+
+  /**
+   * @param {SavedItem[]} items
+   */
+  #save(items) {
+    this.#items = items;
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+    } catch (_) {
+      // no-op, the list is kept for the current page only
+    }
+
+    this.#syncHandler?.save(items).catch((error) => console.error(error));
+    this.#notify();
+  }
+
+  #notify() {
+    for (const listener of this.#listeners) listener(this.#items);
+  }
+}
+
+/**
+ * Reads the saved items from the storage.
+ * @returns {SavedItem[]}
+ */
+function readItems() {
+  try {
+    const items = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '[]');
+
+    return Array.isArray(items) ? items : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+export const savedForLater = new SavedForLaterList();
+
+/**
+ * A custom element that displays the items saved for later, with their current price and availability.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} content - The content, hidden while nothing is saved.
+ * @property {HTMLElement} count - The number of saved items.
+ * @property {HTMLUListElement} list - The list of saved items.
+ * @property {HTMLTemplateElement} itemTemplate - The template of a saved item.
+ *
+ * @extends {Component<Refs>}
+ */
+class SavedForLaterComponent extends Component {
+  requiredRefs = ['content', 'count', 'list', 'itemTemplate'];
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#unsubscribe = savedForLater.subscribe(this.#render);
+    this.#render(savedForLater.items);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#unsubscribe?.();
+  }
+
+  /**
+   * Adds a saved item back to the cart.
+   * @param {string} id - The id of the saved item
+   * @param {Event} event
+   */
+  async moveToCart(id, event) {
+    const item = savedForLater.items.find((savedItem) => savedItem.id === String(id));
+    const button = event.target;
+
+    if (!item) return;
+    if (button instanceof HTMLButtonElement) button.disabled = true;
+
+    try {
+      const { cart } = await cartStore.add({
+        items: [
+          {
+            id: item.variantId,
+            quantity: item.quantity,
+            properties: item.properties,
+            selling_plan: item.sellingPlan,
+          },
+        ],
+      });
+
+      savedForLater.remove(item.id);
+
+      this.dispatchEvent(
+        new CartAddEvent(cart, this.id, {
+          source: 'saved-for-later-component',
+          itemCount: cart.item_count,
+          variantId: String(item.variantId),
+        })
+      );
+    } catch (error) {
+      // The item will be added once back online
+      if (error instanceof CartOfflineError) {
+        savedForLater.remove(item.id);
+        return;
+      }
+
+      if (button instanceof HTMLButtonElement) button.disabled = false;
+
+      if (error instanceof CartError) {
+        this.#showError(item.id, error.message);
+        return;
+      }
+
+      console.error(error);
+    }
+  }
+
+  /**
+   * Removes an item from the saved list.
+   * @param {string} id - The id of the saved item
+   */
+  removeItem(id) {
+    savedForLater.remove(String(id));
+  }
+
+  /**
+   * Renders the saved items, reusing the rows of the items already rendered.
+   * @param {SavedItem[]} items
+   */
+  #render = (items) => {
+    const { content, count, list } = this.refs;
+    const rows = new Map(Array.from(list.children, (row) => [row instanceof HTMLElement ? row.dataset.id : '', row]));
+
+    content.hidden = items.length === 0;
+    count.textContent = String(items.length);
+
+    list.replaceChildren(...items.map((item) => rows.get(item.id) ?? this.#createRow(item)));
+  };
+
+  /**
+   * Creates the row of a saved item and loads its current details.
+   * @param {SavedItem} item
+   * @returns {HTMLElement}
+   */
+  #createRow(item) {
+    const fragment = /** @type {DocumentFragment} */ (this.refs.itemTemplate.content.cloneNode(true));
+    const row = /** @type {HTMLElement} */ (fragment.firstElementChild);
+
+    row.dataset.id = item.id;
+    row.querySelector('[data-title]')?.append(item.title);
+    row.querySelector('[data-quantity]')?.append(` ${item.quantity}`);
+    row.querySelector('[data-move-to-cart]')?.setAttribute('on:click', `/moveToCart/${item.id}`);
+    row.querySelector('[data-remove]')?.setAttribute('on:click', `/removeItem/${item.id}`);
+
+    this.#loadDetails(item, row);
+
+    return row;
+  }
+
+  /**
+   * Renders the current price and availability of a saved item.
+   * @param {SavedItem} item
+   * @param {HTMLElement} row
+   */
+  async #loadDetails(item, row) {
+    const details = row.querySelector('[data-details]');
+
+    try {
+      const html = await sectionRenderer.getSectionHTML(ITEM_SECTION_ID, true, new URL(item.url, location.origin));
+      const section = new DOMParser().parseFromString(html, 'text/html').querySelector('.saved-item');
+
+      if (!section || !details) return;
+
+      details.replaceChildren(section);
+
+      // Sold out or deleted variants can't be added back
+      const moveToCartButton = row.querySelector('[data-move-to-cart]');
+      if (moveToCartButton instanceof HTMLButtonElement) {
+        moveToCartButton.disabled = section.getAttribute('data-available') !== 'true';
+      }
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  /**
+   * Shows why a saved item couldn't be added to the cart.
+   * @param {string} id - The id of the saved item
+   * @param {string} message
+   */
+  #showError(id, message) {
+    const row = Array.from(this.refs.list.children).find(
+      (element) => element instanceof HTMLElement && element.dataset.id === id
+    );
+    const error = row?.querySelector('[data-error]');
+
+    if (!(error instanceof HTMLElement)) return;
+
+    error.textContent = message;
+    error.hidden = false;
+  }
+}
+
+if (!customElements.get('saved-for-later-component')) {
+  customElements.define('saved-for-later-component', SavedForLaterComponent);
+}
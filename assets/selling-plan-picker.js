@@ -0,0 +1,188 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, VariantResolveEvent, VariantUpdateEvent } from '@theme/events';
+import { morph } from '@theme/morph';
+
+/**
+ * A custom element that lets shoppers choose between a one-time purchase and a subscription.
+ *
+ * The chosen selling plan is submitted with the product form through the `sellingPlanInput` ref, and the variant
+ * picker sends it along when fetching a variant, so the updated section keeps it.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLInputElement} sellingPlanInput - The input submitting the selling plan, disabled for a one-time purchase.
+ * @property {HTMLInputElement[]} purchaseOptions - The radios of the one-time purchase and of each selling plan group.
+ * @property {HTMLSelectElement[]} [frequencySelects] - The selling plans of each group.
+ * @property {HTMLTemplateElement[]} [priceTemplates] - The price of each purchase option for the selected variant.
+ *
+ * @extends {Component<Refs>}
+ */
+class SellingPlanPicker extends Component {
+  requiredRefs = ['sellingPlanInput', 'purchaseOptions'];
+
+  #abortController = new AbortController();
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#abortController = new AbortController();
+    this.#container?.addEventListener(ThemeEvents.variantUpdate, this.#handleVariantUpdate, {
+      signal: this.#abortController.signal,
+    });
+    this.#container?.addEventListener(ThemeEvents.variantResolve, this.#handleVariantResolve, {
+      signal: this.#abortController.signal,
+    });
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+  }
+
+  /**
+   * Gets the selling plan chosen, or an empty string for a one-time purchase.
+   * @returns {string}
+   */
+  get selectedSellingPlanId() {
+    const groupId = this.refs.purchaseOptions.find((radio) => radio.checked)?.value;
+    if (!groupId) return '';
+
+    return this.#getFrequencySelect(groupId)?.value ?? '';
+  }
+
+  /**
+   * Applies the purchase option or frequency the shopper chose.
+   */
+  selectPurchaseOption() {
+    const sellingPlanId = this.selectedSellingPlanId;
+
+    this.#update(sellingPlanId);
+    this.#updatePrice(sellingPlanId);
+    this.#updateUrl(sellingPlanId);
+  }
+
+  /**
+   * The selling plans and their prices depend on the variant, so the picker is rendered again for it.
+   * @param {VariantResolveEvent} event
+   */
+  #handleVariantResolve = (event) => {
+    if (event.detail.data.productId === this.dataset.productId) event.requestRender();
+  };
+
+  /**
+   * Keeps the chosen selling plan when the picker is rendered again for another variant.
+   * @param {VariantUpdateEvent} event
+   */
+  #handleVariantUpdate = (event) => {
+    if (event.detail.data.newProduct) {
+      this.dataset.productId = event.detail.data.newProduct.id;
+    } else if (event.detail.data.productId !== this.dataset.productId) {
+      return;
+    }
+
+    const newPicker = event.detail.data.html.querySelector('selling-plan-picker');
+    if (!newPicker) return;
+
+    const sellingPlanId = this.selectedSellingPlanId;
+
+    morph(this, newPicker, { childrenOnly: true });
+
+    // The plan may not be offered for the new variant, in which case the one rendered is kept
+    if (sellingPlanId && !this.#getGroupId(sellingPlanId)) return;
+
+    this.#update(sellingPlanId);
+  };
+
+  /**
+   * Checks the purchase option of a selling plan, and submits it with the product form.
+   * @param {string} sellingPlanId - The selling plan, or an empty string for a one-time purchase.
+   */
+  #update(sellingPlanId) {
+    const { sellingPlanInput, purchaseOptions, frequencySelects = [] } = this.refs;
+    const groupId = this.#getGroupId(sellingPlanId);
+
+    for (const radio of purchaseOptions) {
+      radio.checked = radio.value === groupId;
+    }
+
+    for (const select of frequencySelects) {
+      const isSelected = select.dataset.groupId === groupId;
+
+      if (isSelected) select.value = sellingPlanId;
+      select.parentElement?.toggleAttribute('hidden', !isSelected);
+    }
+
+    sellingPlanInput.value = sellingPlanId;
+    sellingPlanInput.disabled = !sellingPlanId;
+  }
+
+  /**
+   * Shows the price of a purchase option in the product price.
+   * @param {string} sellingPlanId
+   */
+  #updatePrice(sellingPlanId) {
+    const template = this.refs.priceTemplates?.find((template) => template.dataset.sellingPlanId === sellingPlanId);
+    const newPrice = template?.content.querySelector('[ref="priceContainer"]');
+
+    if (!newPrice) return;
+
+    const prices = this.#container?.querySelectorAll(
+      `product-price[data-product-id="${this.dataset.productId}"] [ref="priceContainer"]`
+    );
+
+    for (const price of prices ?? []) {
+      price.replaceWith(newPrice.cloneNode(true));
+    }
+  }
+
+  /**
+   * Keeps the selling plan in the URL of the product page, the way the variant is.
+   * @param {string} sellingPlanId
+   */
+  #updateUrl(sellingPlanId) {
+    if (this.dataset.updateUrl === undefined || this.closest('dialog, product-card')) return;
+
+    const url = new URL(window.location.href);
+
+    if (sellingPlanId) {
+      url.searchParams.set('selling_plan', sellingPlanId);
+    } else {
+      url.searchParams.delete('selling_plan');
+    }
+
+    history.replaceState({}, '', url.toString());
+  }
+
+  /**
+   * Gets the group of a selling plan.
+   * @param {string} sellingPlanId
+   * @returns {string} The group, or an empty string for a one-time purchase or a plan that isn't offered.
+   */
+  #getGroupId(sellingPlanId) {
+    const select = this.refs.frequencySelects?.find((select) =>
+      Array.from(select.options).some((option) => option.value === sellingPlanId)
+    );
+
+    return select?.dataset.groupId ?? '';
+  }
+
+  /**
+   * @param {string} groupId
+   * @returns {HTMLSelectElement | undefined}
+   */
+  #getFrequencySelect(groupId) {
+    return this.refs.frequencySelects?.find((select) => select.dataset.groupId === groupId);
+  }
+
+  /**
+   * The element the product price and variant picker of the product form are rendered in.
+   * @returns {Element | null}
+   */
+  get #container() {
+    return this.closest('.shopify-section, dialog, product-card');
+  }
+}
+
+if (!customElements.get('selling-plan-picker')) {
+  customElements.define('selling-plan-picker', SellingPlanPicker);
+}
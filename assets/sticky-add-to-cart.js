@@ -0,0 +1,96 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, VariantResolveEvent, VariantUpdateEvent } from '@theme/events';
+import { morph } from '@theme/morph';
+
+/**
+ * A custom element that shows a bar to add the selected variant to the cart once its product form is scrolled past.
+ *
+ * The bar's button submits the product form, so the form handles the submission, its errors and the cart events.
+ *
+ * @typedef {object} Refs
+ * @property {import('@theme/product-form').AddToCartComponent} [addToCartButtonContainer] - The add to cart button container.
+ *
+ * @extends {Component<Refs>}
+ */
+class StickyAddToCart extends Component {
+  #abortController = new AbortController();
+
+  #intersectionObserver = new IntersectionObserver(([entry]) => {
+    if (!entry) return;
+
+    // The bar is shown once the form is scrolled past, not while the form is still further down the page
+    this.#setVisible(!entry.isIntersecting && entry.boundingClientRect.bottom < 0);
+  });
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    // Product forms opened in a dialog, like quick add, are always in view
+    if (this.closest('dialog')) return;
+
+    const productForm = document.getElementById(this.dataset.formId ?? '')?.closest('product-form-component');
+    if (!productForm) return;
+
+    this.#abortController = new AbortController();
+    const { signal } = this.#abortController;
+    const section = this.closest('.shopify-section');
+
+    section?.addEventListener(ThemeEvents.variantUpdate, this.#handleVariantUpdate, { signal });
+    section?.addEventListener(ThemeEvents.variantResolve, this.#handleVariantResolve, { signal });
+    section?.addEventListener(ThemeEvents.variantSelected, this.#handleVariantSelected, { signal });
+    this.#intersectionObserver.observe(productForm);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+    this.#intersectionObserver.disconnect();
+  }
+
+  /**
+   * Shows or hides the bar, keeping it out of the tab order while hidden.
+   * @param {boolean} visible
+   */
+  #setVisible(visible) {
+    this.toggleAttribute('data-visible', visible);
+    this.inert = !visible;
+  }
+
+  /**
+   * Shows the selected variant, its price and availability.
+   * @param {VariantUpdateEvent} event
+   */
+  #handleVariantUpdate = (event) => {
+    if (event.detail.data.newProduct) {
+      this.dataset.productId = event.detail.data.newProduct.id;
+    } else if (event.detail.data.productId !== this.dataset.productId) {
+      return;
+    }
+
+    const newBar = event.detail.data.html.querySelector(`sticky-add-to-cart[data-form-id="${this.dataset.formId}"]`);
+
+    if (!newBar) return;
+
+    morph(this, newBar, { childrenOnly: true });
+  };
+
+  /**
+   * The bar shows the image, price and button of the variant, so it's rendered again for it.
+   * @param {VariantResolveEvent} event
+   */
+  #handleVariantResolve = (event) => {
+    if (event.detail.data.productId === this.dataset.productId) event.requestRender();
+  };
+
+  /**
+   * Disables the button while the selected variant is loading, the way the product form does.
+   */
+  #handleVariantSelected = () => {
+    this.refs.addToCartButtonContainer?.disable();
+  };
+}
+
+if (!customElements.get('sticky-add-to-cart')) {
+  customElements.define('sticky-add-to-cart', StickyAddToCart);
+}
@@ -398,6 +398,41 @@ export function preventDefault(event) {
   event.preventDefault();
 }
 
+/**
+ * Shows the validation message of a form field, or hides it once the field is valid.
+ *
+ * The message is rendered in the element with the id `<field id>-error`, which is linked to the field while shown.
+ *
+ * @param {HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement} field - The field to validate.
+ * @returns {boolean} Whether the field is valid.
+ */
+export function validateField(field) {
+  if (field.checkValidity()) {
+    hideFieldError(field);
+    return true;
+  }
+
+  const error = document.getElementById(`${field.id}-error`);
+  const message = error?.querySelector('span');
+
+  field.setAttribute('aria-invalid', 'true');
+  if (error) field.setAttribute('aria-describedby', error.id);
+  if (message) message.textContent = field.validationMessage;
+  error?.classList.remove('hidden');
+
+  return false;
+}
+
+/**
+ * Hides the validation message of a form field.
+ * @param {HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement} field - The field.
+ */
+export function hideFieldError(field) {
+  field.removeAttribute('aria-invalid');
+  field.removeAttribute('aria-describedby');
+  document.getElementById(`${field.id}-error`)?.classList.add('hidden');
+}
+
 /**
  * Get the visible elements within a root element.
  * @template {Element} T
@@ -0,0 +1,140 @@
+import { Component } from '@theme/component';
+import { bulkAddToCart } from '@theme/cart-bulk-add';
+import { CartOfflineError } from '@theme/cart-store';
+import { formatPrice } from '@theme/money-formatting';
+
+/** @typedef {import('./cart-store').CartAddItem} CartAddItem */
+
+/**
+ * A custom element that adds quantities of many variants of a product at once, from a grid of the first two options.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLInputElement[]} [inputs] - The quantity input of each variant.
+ * @property {HTMLElement} subtotal - The price of the entered quantities.
+ * @property {HTMLButtonElement} addButton - The add to cart button.
+ * @property {HTMLElement} error - The message listing the variants that couldn't be added.
+ * @property {HTMLElement} liveRegion - The region announcing the variants were added.
+ *
+ * @extends {Component<Refs>}
+ */
+class VariantMatrixComponent extends Component {
+  requiredRefs = ['subtotal', 'addButton', 'error', 'liveRegion'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.updateSubtotal();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.updateSubtotal();
+  }
+
+  /**
+   * The variants with a quantity entered.
+   * @returns {CartAddItem[]}
+   */
+  get items() {
+    return this.#enabledInputs.flatMap((input) => {
+      const quantity = getQuantity(input);
+
+      return quantity > 0 ? [{ id: Number(input.dataset.variantId), quantity }] : [];
+    });
+  }
+
+  /**
+   * Updates the subtotal and whether anything can be added.
+   */
+  updateSubtotal() {
+    const { subtotal, addButton } = this.refs;
+    let total = 0;
+    let quantity = 0;
+
+    for (const input of this.#enabledInputs) {
+      const inputQuantity = getQuantity(input);
+
+      input.removeAttribute('aria-invalid');
+      total += inputQuantity * Number(input.dataset.price);
+      quantity += inputQuantity;
+    }
+
+    subtotal.textContent = formatPrice(total);
+    addButton.disabled = quantity === 0;
+  }
+
+  /**
+   * Adds every variant with a quantity to the cart in one request.
+   * @param {SubmitEvent} event
+   */
+  async handleSubmit(event) {
+    event.preventDefault();
+
+    const { addButton, error, liveRegion } = this.refs;
+    const { items } = this;
+
+    if (!items.length) return;
+
+    addButton.disabled = true;
+    addButton.setAttribute('aria-busy', 'true');
+    error.hidden = true;
+
+    try {
+      const failures = await bulkAddToCart(this, items, { productId: this.dataset.productId });
+      const failedIds = new Set(failures.map(({ item }) => String(item.id)));
+
+      // Keep the quantities that couldn't be added, so they can be fixed and added again
+      for (const input of this.#enabledInputs) {
+        if (failedIds.has(input.dataset.variantId ?? '')) continue;
+
+        input.value = '0';
+      }
+
+      if (failures.length < items.length) liveRegion.textContent = Theme.translations.added ?? '';
+
+      if (failures.length) {
+        const messages = new Set(failures.map(({ error }) => error.message));
+
+        error.textContent = [Theme.translations.add_all_partial_error, ...messages].join(' ');
+        error.hidden = false;
+      }
+
+      this.updateSubtotal();
+
+      for (const input of this.#enabledInputs) {
+        if (failedIds.has(input.dataset.variantId ?? '')) input.setAttribute('aria-invalid', 'true');
+      }
+    } catch (error) {
+      // The items will be added once back online
+      if (!(error instanceof CartOfflineError)) console.error(error);
+    } finally {
+      addButton.removeAttribute('aria-busy');
+      addButton.disabled = this.items.length === 0;
+    }
+  }
+
+  /**
+   * The quantity inputs of the available variants.
+   * @returns {HTMLInputElement[]}
+   */
+  get #enabledInputs() {
+    return (this.refs.inputs ?? []).filter((input) => !input.disabled);
+  }
+}
+
+/**
+ * Gets the quantity entered in an input, within its bounds.
+ * @param {HTMLInputElement} input
+ * @returns {number}
+ */
+function getQuantity(input) {
+  const quantity = Math.max(0, Math.floor(Number(input.value)) || 0);
+  const max = input.max === '' ? Infinity : Number(input.max);
+
+  return Math.min(quantity, max);
+}
+
+if (!customElements.get('variant-matrix-component')) {
+  customElements.define('variant-matrix-component', VariantMatrixComponent);
+}
@@ -1,8 +1,10 @@
 import { Component } from '@theme/component';
-import { VariantSelectedEvent, VariantUpdateEvent } from '@theme/events';
+import { VariantResolveEvent, VariantSelectedEvent, VariantUpdateEvent } from '@theme/events';
 import { morph } from '@theme/morph';
 import { requestYieldCallback } from '@theme/utilities';
 
+/** @typedef {import('@theme/events').ResolvedVariant} ResolvedVariant */
+
 /**
  * A custom element that manages a variant picker.
  *
@@ -48,12 +50,39 @@ export default class VariantPicker extends Component {
     const currentUrl = this.dataset.productUrl?.split('?')[0];
     const newUrl = selectedOption.dataset.connectedProductUrl;
     const loadsNewProduct = isOnProductPage && !!newUrl && newUrl !== currentUrl;
+    const variant = loadsNewProduct ? undefined : this.resolveVariant();
+    let shouldRender = variant === undefined;
+
+    // A variant found in the embedded product data is shown right away, and the section is only rendered when the
+    // picker or a listener needs what the embedded data doesn't cover
+    if (variant !== undefined) {
+      const resolveEvent = new VariantResolveEvent(variant, this.selectedOptionId ?? '', {
+        productId: this.dataset.productId ?? '',
+        sellingPlanId: this.selectedSellingPlanId,
+      });
+
+      this.dispatchEvent(resolveEvent);
+      shouldRender = !this.#renderOptionValues() || resolveEvent.renderRequested;
+    }
 
-    this.fetchUpdatedSection(this.buildRequestUrl(selectedOption), loadsNewProduct);
+    if (shouldRender) {
+      let requestUrl = this.buildRequestUrl(selectedOption);
+
+      // Only the section of the picker needs rendering, unless another product replaces the entire main content
+      if (!loadsNewProduct && this.dataset.sectionId && !requestUrl.includes('section_id=')) {
+        requestUrl += `&section_id=${this.dataset.sectionId}`;
+      }
+
+      this.fetchUpdatedSection(requestUrl, loadsNewProduct);
+    } else {
+      // The section of the options picked before would bring them back
+      this.#abortController?.abort();
+      this.#pendingRequestUrl = undefined;
+    }
 
     const url = new URL(window.location.href);
 
-    const variantId = selectedOption.dataset.variantId || null;
+    const variantId = variant ? String(variant.id) : selectedOption.dataset.variantId || null;
 
     if (isOnProductPage) {
       if (variantId) {
@@ -106,6 +135,124 @@ export default class VariantPicker extends Component {
     }
   }
 
+  /**
+   * Finds the variant of the options picked in the variants embedded in the picker.
+   * @returns {import('@theme/events').ResolvedVariant | null | undefined} The variant, null when no variant has the
+   * options picked, or undefined when it can only be known once the section is rendered.
+   */
+  resolveVariant() {
+    const embeddedVariants = this.#embeddedVariants;
+    if (!embeddedVariants) return undefined;
+
+    const { variants, complete } = embeddedVariants;
+    const values = this.#selectedValues;
+    const variant = variants.find((variant) => variant.options.every((value, index) => value === values[index]));
+
+    if (variant) return variant;
+
+    // Products with more variants than embedded may have the variant, only the section can tell
+    return complete ? null : undefined;
+  }
+
+  /**
+   * Renders the availability of the option values for the options picked, the way the section renders them: a value
+   * is available when a variant with it and the values picked for the options before it is, and leads to the
+   * variant with it and the values picked for the other options.
+   * @returns {boolean} Whether the values were rendered, which needs every variant of the product embedded.
+   */
+  #renderOptionValues() {
+    const embeddedVariants = this.#embeddedVariants;
+    if (!embeddedVariants?.complete) return false;
+
+    /** @type {(HTMLInputElement | HTMLOptionElement)[]} */
+    const valueElements = Array.from(this.querySelectorAll('fieldset input[data-option-value-id], select option'));
+
+    // The values of combined listings lead to other products, which aren't embedded
+    if (valueElements.some((element) => element.dataset.connectedProductUrl)) return false;
+
+    const { variants } = embeddedVariants;
+    const values = this.#selectedValues;
+    const strikethrough = this.querySelector('template[data-strikethrough]');
+
+    for (const element of valueElements) {
+      const index = Number(element.dataset.inputId?.split('-')[0]) - 1;
+      /** @param {ResolvedVariant} variant */
+      const hasValue = (variant) => variant.options[index] === element.value;
+
+      const available = variants.some(
+        (variant) =>
+          variant.available &&
+          hasValue(variant) &&
+          values.slice(0, index).every((value, i) => value === variant.options[i])
+      );
+      const variant = variants.find(
+        (variant) => hasValue(variant) && variant.options.every((value, i) => i === index || value === values[i])
+      );
+
+      element.dataset.optionAvailable = String(available);
+
+      if (element instanceof HTMLOptionElement) {
+        element.dataset.variantId = variant ? String(variant.id) : '';
+        element.textContent = available ? element.value : `${element.value} - ${Theme.translations.unavailable ?? ''}`;
+        continue;
+      }
+
+      if (variant) element.dataset.variantId = String(variant.id);
+      else delete element.dataset.variantId;
+
+      if (available) element.removeAttribute('aria-disabled');
+      else element.setAttribute('aria-disabled', 'true');
+
+      const label = element.closest('label');
+      const line = label?.querySelector(':scope > svg');
+
+      if (available) {
+        line?.remove();
+      } else if (!line && strikethrough instanceof HTMLTemplateElement) {
+        label?.append(strikethrough.content.cloneNode(true));
+      }
+    }
+
+    for (const fieldset of this.querySelectorAll('fieldset')) {
+      const swatchValue = fieldset.querySelector('.variant-option__swatch-value');
+      const checkedInput = fieldset.querySelector('input:checked');
+
+      if (swatchValue && checkedInput instanceof HTMLInputElement) swatchValue.textContent = checkedInput.value;
+    }
+
+    return true;
+  }
+
+  /**
+   * The variants embedded in the picker.
+   * @returns {{ variants: ResolvedVariant[], complete: boolean } | undefined} The variants, and whether they're all
+   * the variants of the product, or undefined when none are embedded.
+   */
+  get #embeddedVariants() {
+    const script = this.querySelector('script[data-variants]');
+    if (!(script instanceof HTMLElement) || !script.textContent) return undefined;
+
+    try {
+      /** @type {ResolvedVariant[]} */
+      const variants = JSON.parse(script.textContent);
+
+      return { variants, complete: variants.length >= Number(script.dataset.variantCount) };
+    } catch (_) {
+      return undefined;
+    }
+  }
+
+  /**
+   * The values of the options picked, in the order of the options.
+   * @returns {string[]}
+   */
+  get #selectedValues() {
+    /** @type {(HTMLInputElement | HTMLOptionElement)[]} */
+    const selectedOptions = Array.from(this.querySelectorAll('select option[selected], fieldset input:checked'));
+
+    return selectedOptions.map((option) => option.value);
+  }
+
   /**
    * Builds the request URL.
    * @param {HTMLElement} selectedOption - The selected option.
@@ -130,6 +277,12 @@ export default class VariantPicker extends Component {
       }
     }
 
+    // Keep the selling plan chosen in the product form, so the updated section shows its price
+    const sellingPlanId = this.selectedSellingPlanId;
+    if (sellingPlanId) {
+      params.push(`selling_plan=${sellingPlanId}`);
+    }
+
     // If variant-picker is a child of quick-add-component or swatches-variant-picker-component, we need to append section_id=section-rendering-product-card to the URL
     if (this.closest('quick-add-component') || this.closest('swatches-variant-picker-component')) {
       if (productUrl?.includes('?')) {
@@ -271,6 +424,21 @@ export default class VariantPicker extends Component {
     return optionValueId;
   }
 
+  /**
+   * Gets the selling plan chosen in the product form of the same product.
+   * @returns {string | undefined} The selling plan ID, or undefined for a one-time purchase.
+   */
+  get selectedSellingPlanId() {
+    const container = this.closest('.shopify-section, dialog, product-card');
+    const input = container?.querySelector(
+      `selling-plan-picker[data-product-id="${this.dataset.productId}"] input[name="selling_plan"]`
+    );
+
+    if (!(input instanceof HTMLInputElement) || input.disabled) return undefined;
+
+    return input.value || undefined;
+  }
+
   /**
    * Gets the selected options values.
    * @returns {string[]} The selected options values.